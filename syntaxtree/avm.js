@@ -0,0 +1,261 @@
+// Attribute-value matrices (feature structures) for HPSG and LFG style
+// trees. An AVM follows a node label as &[...]:
+//
+//   [VP&[HEAD verb, SUBJ <#1>, AGR #1 [PER 3rd, NUM sg]] sleeps]
+//
+// Pairs are separated by commas. A value is a word or "quoted text" (with
+// \" and \\ for a quote and a backslash), a nested [...] AVM, a list
+// <a, b, ...> or a structure-sharing tag #1, optionally followed by the
+// value it stands for.
+
+'use strict';
+
+export const ValueType = {
+  AVM: 'AVM',     // {type, pairs: [{attr, value}]}
+  ATOM: 'ATOM',   // {type, text}
+  TAG: 'TAG',     // {type, tag, value} (value may be null)
+  LIST: 'LIST'    // {type, items}
+};
+
+// Parse the text of an AVM token, including the outer brackets.
+// Errors are thrown as strings.
+export function parseAvm(text) {
+  const state = {text: text, pos: 0};
+  skipSpace(state);
+  if (peek(state) !== '[') throw 'Feature structure must start with [';
+  const avm = parseMatrix(state);
+  skipSpace(state);
+  if (state.pos < text.length)
+    throw 'Unexpected "' + text.substring(state.pos) + '" after feature structure';
+  return avm;
+}
+
+// Bracket notation for an AVM, as read by parseAvm
+export function serializeAvm(value) {
+  switch (value.type) {
+    case ValueType.AVM:
+      return '[' + value.pairs.map(pair => pair.attr + ' ' + serializeAvm(pair.value))
+          .join(', ') + ']';
+    case ValueType.LIST:
+      return '<' + value.items.map(serializeAvm).join(', ') + '>';
+    case ValueType.TAG:
+      return '#' + value.tag + (value.value ? ' ' + serializeAvm(value.value) : '');
+    default:
+      return /^[^\s\[\]<>,#"\\]+( [^\s\[\]<>,#"\\]+)*$/.test(value.text)
+        ? value.text
+        : '"' + value.text.replace(/[\\"]/g, '\\$&') + '"';
+  }
+}
+
+// Width and height of an AVM drawn at the given font size. The sizes of
+// the values inside it are kept in parts, for drawing.
+export function measureAvm(canvas, avm, fontsize) {
+  const saved = canvas.fontsize;
+  canvas.setFontSize(fontsize);
+  const size = measureValue(canvas, avm, fontsize);
+  canvas.setFontSize(saved);
+  return size;
+}
+
+// Draw an AVM measured by measureAvm as size with its top left corner at
+// (x, y). Text, brackets and tag boxes use the current fill and stroke styles.
+export function drawAvm(canvas, avm, size, x, y, fontsize) {
+  const saved = canvas.fontsize;
+  canvas.setFontSize(fontsize);
+  drawValue(canvas, avm, size, x, y, fontsize);
+  canvas.setFontSize(saved);
+}
+
+function measureValue(canvas, value, fontsize) {
+  const line = fontsize * 1.2;
+  switch (value.type) {
+    case ValueType.AVM: {
+      const pad = fontsize * 0.4;
+      let attr_width = 0;
+      let value_width = 0;
+      let height = 0;
+      const parts = value.pairs.map(pair => {
+        const size = measureValue(canvas, pair.value, fontsize);
+        attr_width = Math.max(attr_width, canvas.textWidth(pair.attr));
+        value_width = Math.max(value_width, size.width);
+        height += Math.max(line, size.height);
+        return size;
+      });
+      const gap = value.pairs.length > 0 ? fontsize * 0.5 : 0;
+      return {width: pad * 2 + attr_width + gap + value_width, height: Math.max(line, height) + pad,
+              parts: parts};
+    }
+    case ValueType.LIST: {
+      let width = canvas.textWidth('⟨⟩');
+      let height = line;
+      const parts = value.items.map((item, i) => {
+        const size = measureValue(canvas, item, fontsize);
+        width += size.width + (i > 0 ? canvas.textWidth(', ') : 0);
+        height = Math.max(height, size.height);
+        return size;
+      });
+      return {width: width, height: height, parts: parts};
+    }
+    case ValueType.TAG: {
+      const box = canvas.textWidth(value.tag) + fontsize * 0.4;
+      if (!value.value) return {width: box, height: line, parts: []};
+      const size = measureValue(canvas, value.value, fontsize);
+      return {width: box + fontsize * 0.3 + size.width, height: Math.max(line, size.height),
+              parts: [size]};
+    }
+    default:
+      return {width: canvas.textWidth(value.text), height: line, parts: []};
+  }
+}
+
+// Draw a value measured by measureValue as size
+function drawValue(canvas, value, size, x, y, fontsize) {
+  const line = fontsize * 1.2;
+  switch (value.type) {
+    case ValueType.AVM: {
+      const pad = fontsize * 0.4;
+      const attr_width = value.pairs.reduce(
+          (max, pair) => Math.max(max, canvas.textWidth(pair.attr)), 0);
+      let row = y + pad / 2;
+      value.pairs.forEach((pair, i) => {
+        const attr = canvas.textWidth(pair.attr);
+        canvas.text(pair.attr, x + pad + attr / 2, row + fontsize * 0.1);
+        drawValue(canvas, pair.value, size.parts[i], x + pad + attr_width + fontsize * 0.5, row,
+                  fontsize);
+        row += Math.max(line, size.parts[i].height);
+      });
+      drawBracket(canvas, x, y, size.height, pad / 2);
+      drawBracket(canvas, x + size.width, y, size.height, -pad / 2);
+      break;
+    }
+    case ValueType.LIST: {
+      let left = x;
+      const drawText = (text) => {
+        const width = canvas.textWidth(text);
+        canvas.text(text, left + width / 2, y + fontsize * 0.1);
+        left += width;
+      };
+      drawText('⟨');
+      value.items.forEach((item, i) => {
+        if (i > 0) drawText(', ');
+        drawValue(canvas, item, size.parts[i], left, y, fontsize);
+        left += size.parts[i].width;
+      });
+      drawText('⟩');
+      break;
+    }
+    case ValueType.TAG: {
+      const box = canvas.textWidth(value.tag) + fontsize * 0.4;
+      canvas.rect(x, y + fontsize * 0.05, box, fontsize * 1.1);
+      canvas.text(value.tag, x + box / 2, y + fontsize * 0.1);
+      if (value.value)
+        drawValue(canvas, value.value, size.parts[0], x + box + fontsize * 0.3, y, fontsize);
+      break;
+    }
+    default:
+      canvas.text(value.text, x + size.width / 2, y + fontsize * 0.1);
+  }
+}
+
+// Square bracket: a vertical line with ticks pointing inwards by tick
+function drawBracket(canvas, x, y, height, tick) {
+  canvas.line(x, y, x, y + height);
+  canvas.line(x, y, x + tick, y);
+  canvas.line(x, y + height, x + tick, y + height);
+}
+
+// Parser: [ATTR value, ATTR value, ...]
+function parseMatrix(state) {
+  ++state.pos; // [
+  const avm = {type: ValueType.AVM, pairs: []};
+  skipSpace(state);
+  if (peek(state) === ']') {
+    ++state.pos;
+    return avm;
+  }
+  while (true) {
+    skipSpace(state);
+    const attr = parseWord(state);
+    if (!attr) throw 'Expected attribute name in feature structure';
+    skipSpace(state);
+    if (peek(state) === ',' || peek(state) === ']' || peek(state) === '')
+      throw 'Expected value after ' + attr;
+    avm.pairs.push({attr: attr, value: parseValue(state)});
+    skipSpace(state);
+    const ch = peek(state);
+    ++state.pos;
+    if (ch === ']') return avm;
+    if (ch !== ',') throw 'Expected , or ] in feature structure';
+  }
+}
+
+// Parser: <value, value, ...>
+function parseList(state) {
+  ++state.pos; // <
+  const list = {type: ValueType.LIST, items: []};
+  skipSpace(state);
+  if (peek(state) === '>') {
+    ++state.pos;
+    return list;
+  }
+  while (true) {
+    skipSpace(state);
+    list.items.push(parseValue(state));
+    skipSpace(state);
+    const ch = peek(state);
+    ++state.pos;
+    if (ch === '>') return list;
+    if (ch !== ',') throw 'Expected , or > in list';
+  }
+}
+
+function parseValue(state) {
+  skipSpace(state);
+  const ch = peek(state);
+  if (ch === '[') return parseMatrix(state);
+  if (ch === '<') return parseList(state);
+  if (ch === '#') {
+    ++state.pos;
+    const tag = parseWord(state);
+    if (!tag) throw 'Expected tag after #';
+    skipSpace(state);
+    const next = peek(state);
+    const shared = next === '' || next === ',' || next === ']' || next === '>'
+      ? null
+      : parseValue(state);
+    return {type: ValueType.TAG, tag: tag, value: shared};
+  }
+  if (ch === '"') {
+    const match = /^"((?:[^"\\]|\\.)*)"/.exec(state.text.substring(state.pos));
+    if (!match) throw 'Unterminated quoted string. Missing closing "';
+    state.pos += match[0].length;
+    return {type: ValueType.ATOM, text: match[1].replace(/\\([\\"])/g, '$1')};
+  }
+  // Several words in a row form one atom
+  const words = [];
+  let word = parseWord(state);
+  while (word) {
+    words.push(word);
+    const before = state.pos;
+    skipSpace(state);
+    word = parseWord(state);
+    if (!word) state.pos = before;
+  }
+  if (words.length === 0) throw 'Unexpected "' + ch + '" in feature structure';
+  return {type: ValueType.ATOM, text: words.join(' ')};
+}
+
+function parseWord(state) {
+  const match = /^[^\s\[\]<>,#"]+/.exec(state.text.substring(state.pos));
+  if (!match) return null;
+  state.pos += match[0].length;
+  return match[0];
+}
+
+function skipSpace(state) {
+  while (/\s/.test(peek(state))) ++state.pos;
+}
+
+function peek(state) {
+  return state.text.charAt(state.pos);
+}
@@ -1,10 +1,14 @@
 'use strict';
 
+import { displayText } from './unicode.js';
+
 export default class Canvas {
   constructor(c) {
     this.canvas = c;
     this.font = 'sans-serif';
     this.fontsize = 16;
+    this.fontstyle = ''; // CSS font style and weight, e.g. 'italic bold'
+    this.markup = false; // Read *italic* and the other marks in text, see markup.js
     this.context = c.getContext('2d');
   }
 
@@ -15,8 +19,17 @@ export default class Canvas {
   }
 
   textWidth(t) {
-    this.context.font = this.fontsize + 'px ' + this.font;
-    return this.context.measureText(t).width;
+    return this.measureText(t, this.font, this.fontsize, this.fontstyle);
+  }
+
+  // Measure text in an arbitrary font, e.g. on behalf of an SvgCanvas.
+  // Glyphs that reach past their advance width (italics, some IPA letters,
+  // stacked diacritics) are measured by their ink.
+  measureText(t, font, fontsize, fontstyle = '') {
+    this.context.font = (fontstyle ? fontstyle + ' ' : '') + fontsize + 'px ' + font;
+    const metrics = this.context.measureText(displayText(t));
+    const ink = (metrics.actualBoundingBoxLeft || 0) + (metrics.actualBoundingBoxRight || 0);
+    return Math.max(metrics.width, ink);
   }
 
   clear() {
@@ -31,8 +44,9 @@ export default class Canvas {
   }
 
   text(t, x, y) {
-    this.context.font = this.fontsize + 'px ' + this.font;
-    this.context.fillText(t, x, y);
+    this.context.font = (this.fontstyle ? this.fontstyle + ' ' : '') +
+                        this.fontsize + 'px ' + this.font;
+    this.context.fillText(displayText(t), x, y);
   }
 
   setFont(f) {
@@ -43,6 +57,14 @@ export default class Canvas {
     this.fontsize = s;
   }
 
+  setFontStyle(s) {
+    this.fontstyle = s;
+  }
+
+  setMarkup(m) {
+    this.markup = m;
+  }
+
   setFillStyle(s) {
     this.context.fillStyle = s;
   }
@@ -55,6 +77,10 @@ export default class Canvas {
     this.context.lineWidth = w;
   }
 
+  setLineDash(d) {
+    this.context.setLineDash(d);
+  }
+
   line(x1, y1, x2, y2) {
     const ctx = this.context;
     ctx.beginPath();
@@ -74,10 +100,11 @@ export default class Canvas {
     ctx.stroke();
   }
 
-  rect(x, y, w, h) {
+  rect(x, y, w, h, fill = false) {
     const ctx = this.context;
     ctx.beginPath();
     ctx.rect(x, y, w, h);
+    if (fill) ctx.fill();
     ctx.stroke();
   }
 
@@ -0,0 +1,166 @@
+// Dependency grammar input and conversion. A sentence is written one token
+// per line, CoNLL-U style:
+//
+//   1	She	she	PRON	PRP	_	2	nsubj	_	_
+//
+// Lines with ten tab-separated columns are read as CoNLL-U. Other lines are
+// split on whitespace and read as ID FORM HEAD DEPREL, or ID FORM UPOS HEAD
+// DEPREL. Comments (#), multiword token ranges (3-4) and empty nodes (3.1)
+// are skipped. HEAD 0 marks the root; the heads must form a tree, with
+// exactly one root and no cycles.
+
+'use strict';
+
+import * as Parser from './parser.js';
+import { ParseError } from './tokenizer.js';
+
+// Parse dependency input into a sentence: {tokens: [{id, form, upos, head,
+// deprel, start, end}]}. start/end are the offsets of the token's line.
+export function parseDependencies(text) {
+  const tokens = [];
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const start = offset;
+    const end = offset + line.length;
+    offset = end + 1;
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) continue;
+
+    const tabbed = line.replace(/\r$/, '').split('\t');
+    let columns = null;
+    if (tabbed.length === 10) {
+      columns = {id: tabbed[0], form: tabbed[1], upos: tabbed[3], head: tabbed[6],
+                 deprel: tabbed[7]};
+    } else {
+      const fields = trimmed.split(/\s+/);
+      if (fields.length === 4)
+        columns = {id: fields[0], form: fields[1], upos: '_', head: fields[2], deprel: fields[3]};
+      else if (fields.length === 5)
+        columns = {id: fields[0], form: fields[1], upos: fields[2], head: fields[3],
+                   deprel: fields[4]};
+      else
+        throw ParseError.atOffset(text, start, end,
+                                  'Expected ID FORM HEAD DEPREL or ten CoNLL-U columns');
+    }
+    if (/^\d+[-.]\d+$/.test(columns.id)) continue;
+
+    if (columns.id !== String(tokens.length + 1))
+      throw ParseError.atOffset(text, start, end, 'Expected token id ' + (tokens.length + 1));
+    if (!/^\d+$/.test(columns.head))
+      throw ParseError.atOffset(text, start, end, 'Head must be a token id or 0');
+    tokens.push({
+      id: tokens.length + 1,
+      form: columns.form,
+      upos: columns.upos,
+      head: parseInt(columns.head, 10),
+      deprel: columns.deprel,
+      start: start,
+      end: end
+    });
+  }
+
+  if (tokens.length === 0) throw new ParseError('No tokens');
+  const bad = tokens.find(token => token.head > tokens.length || token.head === token.id);
+  if (bad)
+    throw ParseError.atOffset(text, bad.start, bad.end,
+                              'Head ' + bad.head + ' is not another token');
+  checkTree(text, tokens);
+  return {tokens: tokens};
+}
+
+// The heads must form a tree: no cycles, and exactly one token with HEAD 0
+function checkTree(text, tokens) {
+  const done = new Set();
+  for (const token of tokens) {
+    const path = [];
+    let current = token;
+    while (current != null && !done.has(current.id)) {
+      const seen = path.indexOf(current);
+      if (seen >= 0) {
+        const cycle = path.slice(seen).concat([current]);
+        throw ParseError.atOffset(text, current.start, current.end,
+                                  'Heads form a cycle: ' + cycle.map(t => t.id).join(' -> ') +
+                                  '. Only the root has HEAD 0');
+      }
+      path.push(current);
+      current = current.head === 0 ? null : tokens[current.head - 1];
+    }
+    path.forEach(t => done.add(t.id));
+  }
+  const roots = tokens.filter(token => token.head === 0);
+  if (roots.length > 1) {
+    throw ParseError.atOffset(text, roots[1].start, roots[1].end,
+                              'Token ' + roots[0].id + ' is already the root. Only one token ' +
+                              'can have HEAD 0');
+  }
+}
+
+// CoNLL-U text for a sentence
+export function formatConllu(sentence) {
+  return sentence.tokens.map(token => [
+    token.id, token.form, '_', token.upos || '_', '_', '_', token.head, token.deprel || '_',
+    '_', '_'
+  ].join('\t')).join('\n') + '\n';
+}
+
+// Convert a constituency tree to dependencies. Every phrase has one head
+// child: the one marked |head|, else the first child of the same category
+// (V, V', VP), else the last child. A phrase's word is its head child's
+// word; the words of the other children depend on it, with the child's
+// label as relation ('dep' for bare words). Preterminal labels become the
+// UPOS tag. Traces and empty elements are left out. With several trees the
+// first one holds the root and the others attach to it as 'parataxis'.
+export function toDependencies(syntax_tree) {
+  const tokens = [];
+  let root = null;
+  syntax_tree.values.forEach(node => {
+    const head = lexicalHead(node, tokens);
+    if (head == null) return;
+    if (root == null) {
+      root = head;
+      root.deprel = 'root';
+    } else {
+      head.head = root.id;
+      head.deprel = 'parataxis';
+    }
+  });
+  if (tokens.length === 0) throw new ParseError('No words to convert');
+  return {tokens: tokens};
+}
+
+// Word heading a node. Words are numbered in order as they are reached.
+function lexicalHead(node, tokens) {
+  if (node.empty) return null;
+  if (node.type === Parser.NodeType.VALUE) {
+    const token = {id: tokens.length + 1, form: node.label, upos: '_', head: 0, deprel: '_'};
+    tokens.push(token);
+    return token;
+  }
+  const heads = node.values.map(child => lexicalHead(child, tokens));
+  const candidates = node.values.filter((child, i) => heads[i] != null);
+  if (candidates.length === 0) return null;
+  const head_child = headChild(node, candidates);
+  const head = heads[node.values.indexOf(head_child)];
+  node.values.forEach((child, i) => {
+    if (heads[i] == null || child === head_child) return;
+    heads[i].head = head.id;
+    heads[i].deprel = child.type === Parser.NodeType.NODE ? child.label : 'dep';
+  });
+  if (candidates.length === 1 && head_child.type === Parser.NodeType.VALUE)
+    head.upos = node.label;
+  return head;
+}
+
+function headChild(node, children) {
+  const marked = children.find(child => child.style && child.style.head);
+  if (marked) return marked;
+  const category = categoryOf(node.label);
+  const same = children.find(child => child.type === Parser.NodeType.NODE &&
+                                      categoryOf(child.label) === category);
+  return same || children[children.length - 1];
+}
+
+// Category of a label without its bar level: V for V, V', V-bar and VP
+function categoryOf(label) {
+  return String(label).replace(/('+|′|-?bar|P)$/, '') || label;
+}
@@ -0,0 +1,141 @@
+// Structural edits on a parsed syntax tree: moving, reordering and deleting
+// subtrees. Arrows point at leaves by column number, so every edit renumbers
+// the arrow targets to follow the leaves they pointed at.
+
+'use strict';
+
+import * as Parser from './parser.js';
+
+// Find the parent of a node, or null if the node is not in the tree
+export function findParent(root, node) {
+  if (root.type === Parser.NodeType.VALUE) return null;
+  for (const child of root.values) {
+    if (child === node) return root;
+    const parent = findParent(child, node);
+    if (parent) return parent;
+  }
+  return null;
+}
+
+// Find the node whose source range starts at the given offset. Nodes from a
+// macro call all start at the call; the outermost of them is found.
+export function findNodeAt(root, start) {
+  if (root.type !== Parser.NodeType.ROOT && root.start === start) return root;
+  if (root.type === Parser.NodeType.VALUE) return null;
+  for (const child of root.values) {
+    const found = findNodeAt(child, start);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Check whether node is ancestor itself or one of its descendants
+export function isWithin(node, ancestor) {
+  if (node === ancestor) return true;
+  if (ancestor.type === Parser.NodeType.VALUE) return false;
+  return ancestor.values.some(child => isWithin(node, child));
+}
+
+// Move node to become the last child of target. Returns false if the move is
+// not possible (target is a leaf or inside the moved subtree).
+export function moveInto(root, node, target) {
+  if (target.type !== Parser.NodeType.NODE || isWithin(target, node)) return false;
+  keepArrowTargets(root, () => {
+    detach(root, node);
+    target.values.push(node);
+  });
+  return true;
+}
+
+// Move node next to a sibling, before or after it. Returns false if the two
+// nodes do not share a parent.
+export function moveBeside(root, node, sibling, after) {
+  const parent = findParent(root, node);
+  if (node === sibling || !parent || findParent(root, sibling) !== parent) return false;
+  keepArrowTargets(root, () => {
+    detach(root, node);
+    const idx = parent.values.indexOf(sibling);
+    parent.values.splice(after ? idx + 1 : idx, 0, node);
+  });
+  return true;
+}
+
+// Delete a subtree. Arrows pointing into it are dropped and, if dropped is
+// given, pushed onto it.
+export function remove(root, node, dropped = null) {
+  if (!findParent(root, node)) return false;
+  keepArrowTargets(root, () => detach(root, node), dropped);
+  return true;
+}
+
+function detach(root, node) {
+  const parent = findParent(root, node);
+  parent.values.splice(parent.values.indexOf(node), 1);
+}
+
+// Arrow from a feature to a leaf: +PAST->2 or +PAST.>2
+const FEATURE_ARROW = /^(\+.+?)\s*(->|\.>)(\d+)$/;
+
+// Run an edit and afterwards renumber arrow targets, those of feature arrows
+// included, by the leaf they pointed at before the edit. Arrows to an @name
+// follow the node wherever it goes and are only dropped when the named node
+// is gone. Dropped arrows are pushed onto dropped if it is given: the arrow,
+// or for a feature arrow the feature as it was written.
+function keepArrowTargets(root, edit_fn, dropped = null) {
+  const before = collectLeaves(root, []);
+  const arrows = [];
+  const features = [];
+  collectNodes(root, []).forEach(node => {
+    (node.arrows || []).forEach(arrow => {
+      if (typeof arrow.target === 'number')
+        arrows.push({arrow: arrow, target: before[arrow.target - 1]});
+    });
+    (node.features || []).forEach((feature, i) => {
+      const match = FEATURE_ARROW.exec(feature);
+      if (match) features.push({node: node, index: i, match: match, target: before[match[3] - 1]});
+    });
+  });
+
+  edit_fn();
+
+  const after = collectLeaves(root, []);
+  for (const {arrow, target} of arrows) {
+    const idx = after.indexOf(target);
+    if (idx >= 0) arrow.target = idx + 1;
+    else arrow.target = null;
+  }
+  const nodes = collectNodes(root, []);
+  for (const {node, index, match, target} of features) {
+    if (!nodes.includes(node)) continue;
+    const idx = after.indexOf(target);
+    if (idx >= 0) {
+      node.features[index] = match[1] + match[2] + (idx + 1);
+    } else {
+      // Keep the feature, without its arrow
+      node.features[index] = match[1];
+      if (dropped) dropped.push(match[0]);
+    }
+  }
+  const ids = new Set(nodes.map(node => node.id).filter(id => id));
+  nodes.forEach(node => {
+    if (!node.arrows) return;
+    node.arrows = node.arrows.filter(arrow => {
+      const kept = typeof arrow.target === 'string' ? ids.has(arrow.target) : arrow.target != null;
+      if (!kept && dropped) dropped.push(arrow);
+      return kept;
+    });
+    if (node.arrows.length === 0) node.arrows = undefined;
+  });
+}
+
+function collectNodes(node, list) {
+  list.push(node);
+  if (node.type !== Parser.NodeType.VALUE) node.values.forEach(child => collectNodes(child, list));
+  return list;
+}
+
+function collectLeaves(node, list) {
+  if (node.type === Parser.NodeType.VALUE) list.push(node);
+  else node.values.forEach(child => collectLeaves(child, list));
+  return list;
+}
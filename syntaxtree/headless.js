@@ -0,0 +1,162 @@
+// Headless rendering API for Node.js: turns bracket notation (or CoNLL-U
+// dependencies) into SVG or PNG without a DOM, running the same Tokenizer ->
+// Parser -> Tree pipeline as the web app. Phrases can also be converted to
+// JSON, PTB or CoNLL-U text.
+
+'use strict';
+
+import Tree from './tree.js';
+import SvgCanvas from './svgcanvas.js';
+import * as Parser from './parser.js';
+import * as Tokenizer from './tokenizer.js';
+import * as Dependency from './dependency.js';
+import * as Ptb from './ptb.js';
+import * as Json from './json.js';
+import { getTheme } from './themes.js';
+import { graphemes } from './unicode.js';
+
+// Render options, named after the controls in the #options panel
+export const DEFAULT_OPTIONS = {
+  font: 'sans-serif',
+  fontsize: 16,
+  color: true,        // Colored nodes
+  autosub: true,      // Auto subscript duplicate labels
+  triangles: true,    // Triangles over multi-word leaves
+  mode: 'tree',       // 'tree' bracket notation, 'dependency' CoNLL-U, 'ptb' Penn Treebank,
+                      // 'json' trees as JSON (see json.js)
+  stripfunctiontags: false, // PTB: NP-SBJ becomes NP
+  stripindices: false,      // PTB: NP-1 becomes NP with subscript 1
+  align: 0,           // 0 top aligned, 1 leaves aligned, 2 bottom aligned
+  layout: 'compact',  // 'compact' packs subtrees, 'wide' sums child widths
+  spacing: 100,       // Vertical spacing in percent (75 - 150)
+  arrowcolor: 'Purple',
+  theme: 'classic',   // Preset from themes.js, 'auto' means classic here
+  background: false,  // Fill the image with the theme background
+  empty: 'grey',      // Traces: 'grey', 'strike' or 'angle'
+  coindex: true,      // Co-index traces and their antecedents
+  tracearrows: false, // Arrow from each trace to its antecedent
+  markup: false,      // Read *italic* and the other marks in labels, see markup.js
+  measure: estimateTextWidth // (text, font, fontsize, fontstyle) => width
+};
+
+// Render a phrase to an SVG document string
+export function renderSVG(phrase, options = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  const tree = new Tree();
+  tree.canvas = new SvgCanvas(opts.measure);
+  drawPhrase(tree, phrase, opts);
+  return tree.canvas.toString();
+}
+
+// Render a phrase to a PNG buffer. This needs the optional `canvas` package
+// (node-canvas), which also provides real font metrics.
+export async function renderPNG(phrase, options = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  let createCanvas = null;
+  try {
+    ({createCanvas} = await import('canvas'));
+  } catch (err) {
+    throw 'PNG output requires the "canvas" package (npm install canvas).';
+  }
+  const c = createCanvas(100, 100);
+  const tree = new Tree();
+  tree.setCanvas(c);
+  drawPhrase(tree, phrase, opts);
+  return c.toBuffer('image/png');
+}
+
+// Convert a phrase to text in another format: 'json', 'ptb' or 'conllu'.
+// Dependency mode input can only be converted to CoNLL-U.
+export function exportPhrase(phrase, format, options = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  if (opts.mode === 'dependency') {
+    if (format !== 'conllu') throw 'Dependencies can only be exported as CoNLL-U';
+    return Dependency.formatConllu(Dependency.parseDependencies(phrase));
+  }
+  const syntax_tree = parsePhrase(phrase, opts);
+  switch (format) {
+    case 'json':
+      return JSON.stringify(Json.toJson(syntax_tree), null, 2) + '\n';
+    case 'ptb':
+      return Ptb.toPtb(syntax_tree);
+    case 'conllu':
+      return Dependency.formatConllu(Dependency.toDependencies(syntax_tree));
+    default:
+      throw 'Unknown export format ' + format;
+  }
+}
+
+// CJK characters and emoji take a full em
+const WIDE_CHARS =
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Extended_Pictographic}]/u;
+
+// Approximate text width from per-character classes. Used when no real font
+// metrics are available; good enough to keep labels from overlapping. Each
+// grapheme cluster counts once, by its base character, so combining
+// diacritics take no extra room.
+export function estimateTextWidth(text, font, fontsize, fontstyle = '') {
+  const monospace = /mono/i.test(font);
+  let em = 0;
+  for (const cluster of graphemes(text)) {
+    const ch = String.fromCodePoint(cluster.codePointAt(0));
+    if (monospace) em += 0.6;
+    else if (/[iljtf.,;:!'|()\[\] ]/.test(ch)) em += 0.3;
+    else if (/[mwMW@%]/.test(ch)) em += 0.85;
+    else if (/[A-Z0-9]/.test(ch)) em += 0.67;
+    else if (WIDE_CHARS.test(ch)) em += 1;
+    else if (/\p{M}/u.test(ch)) em += 0;
+    else em += 0.55;
+  }
+  if (/bold/.test(fontstyle)) em *= 1.08;
+  return em * fontsize;
+}
+
+// Check the numeric render options, which may be strings from the command
+// line. Throws a message naming the first bad one.
+export function checkOptions(options) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  const fontsize = Number(opts.fontsize);
+  if (!Number.isFinite(fontsize) || fontsize <= 0)
+    throw 'Font size must be a positive number, not ' + opts.fontsize;
+  if (!['0', '1', '2'].includes(String(opts.align).trim()))
+    throw 'Alignment must be 0, 1 or 2, not ' + opts.align;
+  const spacing = Number(opts.spacing);
+  if (!Number.isFinite(spacing) || spacing <= 0)
+    throw 'Spacing must be a positive percentage, not ' + opts.spacing;
+}
+
+function drawPhrase(tree, phrase, opts) {
+  checkOptions(opts);
+  tree.setFont(opts.font);
+  tree.setFontsize(opts.fontsize);
+  tree.setColor(opts.color);
+  tree.setSubscript(opts.autosub);
+  tree.setTriangles(opts.triangles);
+  tree.setAlignment(parseInt(opts.align, 10));
+  tree.setLayout(opts.layout);
+  tree.setSpacing(parseFloat(opts.spacing) / 100);
+  tree.setArrowColor(opts.arrowcolor);
+  tree.setTheme(getTheme(opts.theme));
+  tree.setBackground(opts.background);
+  tree.setEmptyStyle(opts.empty);
+  tree.setCoindex(opts.coindex);
+  tree.setTraceArrows(opts.tracearrows);
+  tree.setMarkup(opts.markup);
+
+  if (opts.mode === 'dependency') {
+    tree.drawDependencies(Dependency.parseDependencies(phrase));
+    return;
+  }
+  tree.draw(parsePhrase(phrase, opts));
+}
+
+// Parse tree of a phrase in tree, ptb or json mode
+function parsePhrase(phrase, opts) {
+  if (opts.mode === 'ptb')
+    return Ptb.parsePtb(phrase, {stripFunctionTags: opts.stripfunctiontags,
+                                 stripIndices: opts.stripindices});
+  if (opts.mode === 'json') return Json.fromJson(JSON.parse(phrase));
+  const tokens = Tokenizer.tokenize(phrase);
+  Parser.validate(tokens);
+  return Parser.parse(tokens);
+}
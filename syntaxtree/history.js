@@ -0,0 +1,40 @@
+'use strict';
+
+// Undo/redo history of snapshots. States are plain objects; pushing a state
+// equal to the current one is ignored, so callers can push freely.
+export default class History {
+  constructor(limit = 200) {
+    this.limit = limit;       // Maximum number of undo steps kept
+    this.undo_stack = [];
+    this.redo_stack = [];
+    this.current = null;
+  }
+
+  push(state) {
+    if (this.current != null && sameState(this.current, state)) return;
+    if (this.current != null) this.undo_stack.push(this.current);
+    if (this.undo_stack.length > this.limit) this.undo_stack.shift();
+    this.redo_stack = [];
+    this.current = state;
+  }
+
+  // Returns the state to restore, or null if there is nothing to undo
+  undo() {
+    if (this.undo_stack.length === 0) return null;
+    this.redo_stack.push(this.current);
+    this.current = this.undo_stack.pop();
+    return this.current;
+  }
+
+  // Returns the state to restore, or null if there is nothing to redo
+  redo() {
+    if (this.redo_stack.length === 0) return null;
+    this.undo_stack.push(this.current);
+    this.current = this.redo_stack.pop();
+    return this.current;
+  }
+}
+
+function sameState(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
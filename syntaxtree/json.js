@@ -0,0 +1,225 @@
+// JSON export and import of parse trees, for scripts that generate or
+// process trees. The schema:
+//
+//   {
+//     "format": "syntaxtree",
+//     "version": 1,
+//     "trees": [Node, ...]
+//   }
+//
+//   Node = {
+//     "type": "node" | "leaf",   phrase or word(s)
+//     "label": string,
+//     "subscript": string,       optional
+//     "superscript": string,     optional
+//     "features": [string],      optional, nodes only: ["+PAST"]
+//     "case": string,            optional, leaves only: "NOM" for {NOM}
+//     "id": string,              optional, nodes only: the @name arrows target,
+//                                a letter followed by letters, digits and ' . : -
+//     "style": Style,            optional
+//     "empty": true,             optional, a trace or empty category (~t)
+//     "link": string,            optional, what an empty element is linked to
+//     "avm": Avm,                optional, feature structure (&[...])
+//     "arrows": [Arrow],         optional
+//     "glosses": [string],       optional, leaves only: one per gloss tier
+//     "translation": string,     optional, top nodes only: free translation
+//     "children": [Node]         nodes only
+//   }
+//
+//   Style = {"bold", "italic", "box", "strike", "head": true,
+//            "color", "fill", "stroke": CSS color}, all optional
+//   Arrow = {"type": "to" | "from" | "both" | "dotted",
+//            "target": leaf number (1-based) or id, "label": string (optional)}
+//   Avm   = {"type": "AVM", "pairs": [{"attr": string, "value": Avm}]}
+//         | {"type": "ATOM", "text": string}
+//         | {"type": "TAG", "tag": string, "value": Avm or null}
+//         | {"type": "LIST", "items": [Avm]}
+//
+// Importing also accepts a single Node or an array of Nodes.
+
+'use strict';
+
+import * as Parser from './parser.js';
+import { ValueType } from './avm.js';
+
+export const JSON_FORMAT = 'syntaxtree';
+export const JSON_VERSION = 1;
+
+// Tree as a plain object following the schema above
+export function toJson(syntax_tree) {
+  return {
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    trees: syntax_tree.values.map(nodeToJson)
+  };
+}
+
+// Parse tree (a ROOT, as from Parser.parse) from an object following the
+// schema above. Errors are thrown as strings naming the offending entry.
+export function fromJson(data) {
+  let trees = data;
+  if (data != null && !Array.isArray(data) && data.trees !== undefined) {
+    if (data.format !== JSON_FORMAT) throw 'Not a SyntaxTree JSON file';
+    if (data.version > JSON_VERSION) throw 'Unsupported version ' + data.version;
+    trees = data.trees;
+  }
+  if (!Array.isArray(trees)) trees = [trees];
+  if (trees.length === 0) throw 'No trees';
+  return {
+    type: Parser.NodeType.ROOT,
+    label: '__ROOT__',
+    values: trees.map((tree, i) => nodeFromJson(tree, 'trees[' + i + ']', true))
+  };
+}
+
+// JSON text of each tree in a JSON export, for rendering them one by one
+export function splitJson(text) {
+  const root = fromJson(JSON.parse(text));
+  return root.values.map(node => JSON.stringify(nodeToJson(node)));
+}
+
+const ARROW_TYPES = {
+  to: {to: true, from: false},
+  from: {to: false, from: true},
+  both: {to: true, from: true},
+  dotted: {to: true, from: false}
+};
+
+function nodeToJson(node) {
+  const leaf = node.type === Parser.NodeType.VALUE;
+  const json = {type: leaf ? 'leaf' : 'node', label: node.label};
+  if (node.subscript) json.subscript = node.subscript;
+  if (node.superscript) json.superscript = node.superscript;
+  if (!leaf && node.features && node.features.length > 0) json.features = node.features.slice();
+  if (leaf && node.caseFeature) json.case = node.caseFeature.slice(1, -1);
+  if (node.id) json.id = node.id;
+  if (node.style) json.style = {...node.style};
+  if (node.empty) json.empty = true;
+  if (node.link) json.link = node.link;
+  if (node.avm) json.avm = JSON.parse(JSON.stringify(node.avm));
+  if (node.arrows && node.arrows.length > 0) json.arrows = node.arrows.map(arrowToJson);
+  if (leaf && node.glosses && node.glosses.length > 0) json.glosses = node.glosses.slice();
+  if (!leaf && node.translation) json.translation = node.translation;
+  if (!leaf) json.children = node.values.map(nodeToJson);
+  return json;
+}
+
+function arrowToJson(arrow) {
+  let type = 'to';
+  if (arrow.dotted) type = 'dotted';
+  else if (arrow.ends.to && arrow.ends.from) type = 'both';
+  else if (arrow.ends.from) type = 'from';
+  const json = {type: type, target: arrow.target};
+  if (arrow.label) json.label = arrow.label;
+  return json;
+}
+
+function nodeFromJson(json, path, top = false) {
+  if (json == null || typeof json !== 'object') throw path + ': expected an object';
+  if (json.type !== 'node' && json.type !== 'leaf') throw path + ': type must be node or leaf';
+  if (typeof json.label !== 'string') throw path + ': label must be a string';
+  const leaf = json.type === 'leaf';
+  const node = {
+    type: leaf ? Parser.NodeType.VALUE : Parser.NodeType.NODE,
+    label: json.label,
+    subscript: optionalString(json.subscript, path + '.subscript'),
+    superscript: optionalString(json.superscript, path + '.superscript'),
+    caseFeature: null
+  };
+  if (leaf && json.case != null) node.caseFeature = '{' + optionalString(json.case, path + '.case') + '}';
+  if (json.id != null && leaf)
+    throw path + '.id: only nodes take an id, arrows point at leaves by number';
+  if (json.id != null) node.id = optionalString(json.id, path + '.id');
+  if (node.id != null && !Parser.NODE_NAME.test(node.id))
+    throw path + '.id: expected a letter followed by letters, digits and \' . : -';
+  if (json.style != null) node.style = styleFromJson(json.style, path + '.style');
+  if (json.empty) node.empty = true;
+  if (json.link != null) node.link = optionalString(json.link, path + '.link');
+  if (json.avm != null) {
+    node.avm = avmFromJson(json.avm, path + '.avm');
+    if (node.avm.type !== ValueType.AVM) throw path + '.avm: type must be AVM';
+  }
+  if (json.arrows != null) {
+    if (!Array.isArray(json.arrows)) throw path + '.arrows: expected an array';
+    node.arrows = json.arrows.map((arrow, i) => arrowFromJson(arrow, path + '.arrows[' + i + ']'));
+  }
+  if (leaf && json.glosses != null) {
+    if (!Array.isArray(json.glosses) || json.glosses.some(g => typeof g !== 'string'))
+      throw path + '.glosses: expected an array of strings';
+    if (json.glosses.length > 0) node.glosses = json.glosses.slice();
+  }
+  if (json.translation != null) {
+    if (leaf || !top) throw path + '.translation: only top nodes have a translation';
+    node.translation = optionalString(json.translation, path + '.translation');
+  }
+  if (!leaf) {
+    const features = json.features || [];
+    if (!Array.isArray(features) || features.some(f => typeof f !== 'string'))
+      throw path + '.features: expected an array of strings';
+    node.features = features.slice();
+    const children = json.children || [];
+    if (!Array.isArray(children)) throw path + '.children: expected an array';
+    node.values = children.map((child, i) => nodeFromJson(child, path + '.children[' + i + ']'));
+  }
+  return node;
+}
+
+function arrowFromJson(json, path) {
+  if (json == null || !(json.type in ARROW_TYPES)) throw path + ': type must be to, from, both or dotted';
+  if (typeof json.target === 'string' ? !Parser.NODE_NAME.test(json.target)
+                                      : !Number.isInteger(json.target))
+    throw path + ': target must be a leaf number or an id';
+  return {
+    ends: {...ARROW_TYPES[json.type]},
+    target: json.target,
+    label: optionalString(json.label, path + '.label'),
+    dotted: json.type === 'dotted'
+  };
+}
+
+function styleFromJson(json, path) {
+  if (typeof json !== 'object') throw path + ': expected an object';
+  const style = {};
+  for (const [key, value] of Object.entries(json)) {
+    if (['bold', 'italic', 'box', 'strike', 'head'].includes(key) && typeof value === 'boolean') {
+      if (value) style[key] = true;
+    } else if (['color', 'fill', 'stroke'].includes(key) && typeof value === 'string') {
+      style[key] = value;
+    } else {
+      throw path + ': unknown style ' + key;
+    }
+  }
+  return style;
+}
+
+function avmFromJson(json, path) {
+  if (json == null || typeof json !== 'object') throw path + ': expected an object';
+  switch (json.type) {
+    case ValueType.AVM:
+      if (!Array.isArray(json.pairs)) throw path + '.pairs: expected an array';
+      return {type: ValueType.AVM, pairs: json.pairs.map((pair, i) => {
+        const pair_path = path + '.pairs[' + i + ']';
+        if (pair == null || typeof pair.attr !== 'string') throw pair_path + ': attr must be a string';
+        return {attr: pair.attr, value: avmFromJson(pair.value, pair_path + '.value')};
+      })};
+    case ValueType.ATOM:
+      if (typeof json.text !== 'string') throw path + ': text must be a string';
+      return {type: ValueType.ATOM, text: json.text};
+    case ValueType.TAG:
+      if (typeof json.tag !== 'string') throw path + ': tag must be a string';
+      return {type: ValueType.TAG, tag: json.tag,
+              value: json.value == null ? null : avmFromJson(json.value, path + '.value')};
+    case ValueType.LIST:
+      if (!Array.isArray(json.items)) throw path + '.items: expected an array';
+      return {type: ValueType.LIST,
+              items: json.items.map((item, i) => avmFromJson(item, path + '.items[' + i + ']'))};
+    default:
+      throw path + ': type must be AVM, ATOM, TAG or LIST';
+  }
+}
+
+function optionalString(value, path) {
+  if (value == null) return null;
+  if (typeof value !== 'string') throw path + ': expected a string';
+  return value;
+}
@@ -0,0 +1,275 @@
+// Exports a parsed syntax tree as LaTeX source for the forest and
+// tikz-qtree packages, so trees can be pasted into documents instead of
+// being retyped. Struck-out labels use \sout from the ulem package, grey
+// traces \textcolor from xcolor.
+
+'use strict';
+
+import * as Parser from './parser.js';
+import * as Traces from './traces.js';
+import { parseMarkup } from './markup.js';
+
+// Supported output formats
+export const LatexFormat = {
+  FOREST: 'forest',
+  QTREE: 'qtree'
+};
+
+// Convert a parsed tree (as returned by Parser.parse) to LaTeX source.
+// Options: triangles   - draw a roof over multi-word leaves (default true)
+//          empty       - how traces look, one of Traces.EmptyStyle (grey)
+//          coindex     - subscript traces and antecedents (default true)
+//          traceArrows - arrow from each trace to its antecedent (false)
+//          markup      - read *italic* and the other marks of markup.js (false)
+const DEFAULT_OPTIONS = {
+  triangles: true,
+  empty: Traces.EmptyStyle.GREY,
+  coindex: true,
+  traceArrows: false,
+  markup: false
+};
+
+export function toLatex(syntax_tree, format = LatexFormat.FOREST, options = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  switch (format) {
+    case LatexFormat.FOREST:
+      return toForest(syntax_tree, opts);
+    case LatexFormat.QTREE:
+      return toQtree(syntax_tree, opts);
+    default:
+      throw 'Unknown LaTeX format ' + format;
+  }
+}
+
+// forest: \begin{forest} [TP [DP ...]] \end{forest}
+export function toForest(syntax_tree, options = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  const traces = traceMarks(syntax_tree, opts);
+  const leaves = numberLeaves(syntax_tree, traces);
+  const lines = ['\\begin{forest}'];
+  syntax_tree.values.forEach(node => {
+    lines.push(forestNode(node, leaves, traces, opts, 1));
+  });
+  drawArrows(leaves, traces, lines);
+  lines.push('\\end{forest}');
+  return lines.join('\n') + '\n';
+}
+
+// tikz-qtree: \begin{tikzpicture} \Tree [.TP [.DP ...]] \end{tikzpicture}
+export function toQtree(syntax_tree, options = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  const traces = traceMarks(syntax_tree, opts);
+  const leaves = numberLeaves(syntax_tree, traces);
+  const lines = ['\\begin{tikzpicture}'];
+  syntax_tree.values.forEach(node => {
+    lines.push('\\Tree ' + qtreeNode(node, leaves, traces, opts, 0));
+  });
+  drawArrows(leaves, traces, lines);
+  lines.push('\\end{tikzpicture}');
+  return lines.join('\n') + '\n';
+}
+
+function forestNode(node, leaves, traces, opts, depth) {
+  const indent = '  '.repeat(depth);
+  const content = nodeContent(node, traces, opts);
+  const options = styleOptions(node);
+  if (content.includes('\\\\')) options.push('align=center', 'base=top');
+  if (leaves.names.has(node)) options.push('name=' + leaves.names.get(node));
+  if (node.type === Parser.NodeType.VALUE) {
+    if (isRoofed(node, opts)) options.push('roof');
+    return indent + '[' + braced(content) + optionList(options) + ']';
+  }
+  if (node.values.length === 0)
+    return indent + '[' + braced(content) + optionList(options) + ']';
+  const children = node.values.map(child => forestNode(child, leaves, traces, opts, depth + 1));
+  return indent + '[' + braced(content) + optionList(options) + '\n' +
+         children.join('\n') + '\n' + indent + ']';
+}
+
+function qtreeNode(node, leaves, traces, opts, depth) {
+  const indent = '  '.repeat(depth);
+  const content = nodeContent(node, traces, opts);
+  const name = leaves.names.has(node) ? '(' + leaves.names.get(node) + ')' : '';
+  const options = styleOptions(node);
+  if (content.includes('\\\\')) options.push('align=center');
+  const label = name || options.length > 0
+    ? '\\node' + name + (options.length > 0 ? '[' + options.join(', ') + ']' : '') +
+      '{' + content + '};'
+    : '{' + content + '}';
+  if (node.type === Parser.NodeType.VALUE) {
+    const edge = isRoofed(node, opts) ? '\\edge[roof]; ' : '';
+    return indent + edge + label;
+  }
+  const children = node.values.map(child => qtreeNode(child, leaves, traces, opts, depth + 1));
+  if (children.length === 0) return indent + '[.' + label + ' ]';
+  return indent + '[.' + label + '\n' + children.join('\n') + '\n' + indent + ']';
+}
+
+// Label with sub/superscript, followed by case feature and +FEATURE lines
+function nodeContent(node, traces, opts) {
+  const style = node.style || {};
+  const empty = traces.empty.has(node) ? traces.style : null;
+  const scriptText = text => opts.markup ? latexMarkup(text, true) : escapeLatex(text);
+  let content = String(node.label).split(/\\n|\n/).map(line => {
+    let text = node.empty || !opts.markup ? escapeLatex(line.trim()) : latexMarkup(line.trim());
+    if (node.empty && empty === Traces.EmptyStyle.ANGLE)
+      text = '$\\langle$' + text + '$\\rangle$';
+    if (style.strike || empty === Traces.EmptyStyle.STRIKE) text = '\\sout{' + text + '}';
+    if (empty === Traces.EmptyStyle.GREY && !style.color) text = '\\textcolor{gray}{' + text + '}';
+    if (style.italic) text = '\\textit{' + text + '}';
+    if (style.bold) text = '\\textbf{' + text + '}';
+    return text;
+  }).join('\\\\');
+  const subscript = node.subscript || traces.indices.get(node);
+  if (subscript || node.superscript) {
+    // {} keeps a label ending in math from running into $$ (display math)
+    if (content.endsWith('$')) content += '{}';
+    content += '$' + (subscript ? '_{' + scriptText(subscript) + '}' : '') +
+               (node.superscript ? '^{' + scriptText(node.superscript) + '}' : '') + '$';
+  }
+  if (node.caseFeature && node.caseFeature !== node.label)
+    content += '\\\\{\\small [' + escapeLatex(node.caseFeature.slice(1, -1)) + ']}';
+  if (node.features && node.features.length > 0)
+    content += '\\\\{\\small [' + node.features.map(escapeLatex).join(', ') + ']}';
+  return content;
+}
+
+// TikZ node options for a |...| style block
+function styleOptions(node) {
+  const style = node.style || {};
+  const options = [];
+  if (style.color) options.push('text=' + latexColor(style.color));
+  if (style.fill) options.push('fill=' + latexColor(style.fill));
+  if (style.box) options.push(style.stroke ? 'draw=' + latexColor(style.stroke) : 'draw');
+  return options;
+}
+
+// xcolor name, or an rgb expression for #rgb / #rrggbb colors
+function latexColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!hex) return braced(color);
+  const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+  return '{rgb,255:red,' + r + ';green,' + g + ';blue,' + b + '}';
+}
+
+function isRoofed(node, opts) {
+  return opts.triangles && String(node.label).includes(' ');
+}
+
+// Empty nodes, co-indices and trace arrows to draw, following the options
+function traceMarks(syntax_tree, opts) {
+  const links = Traces.coindex(syntax_tree);
+  return {
+    style: opts.empty,
+    empty: Traces.emptyNodes(syntax_tree),
+    indices: opts.coindex ? links.indices : new Map(),
+    antecedents: opts.traceArrows ? links.antecedents : new Map()
+  };
+}
+
+// Leaves are numbered depth-first from 1, the same way arrow targets ->N are.
+// Only nodes that take part in an arrow get a name: leafN for numbered
+// targets, the @name itself where it is a valid TikZ name.
+function numberLeaves(syntax_tree, traces) {
+  const leaves = {list: [], nodes: [], names: new Map(), ids: new Map()};
+  collectNodes(syntax_tree, leaves);
+  leaves.nodes.forEach(node => {
+    if (node.id && !leaves.ids.has(node.id)) leaves.ids.set(node.id, node);
+  });
+  const name = (node) => {
+    if (!node || leaves.names.has(node)) return;
+    const idx = leaves.list.indexOf(node) + 1;
+    if (node.id && /^[A-Za-z][A-Za-z0-9]*$/.test(node.id) && !/^(leaf|node)\d+$/.test(node.id))
+      leaves.names.set(node, node.id);
+    else if (idx > 0)
+      leaves.names.set(node, 'leaf' + idx);
+    else
+      leaves.names.set(node, 'node' + (leaves.nodes.indexOf(node) + 1));
+  };
+  leaves.nodes.forEach(node => {
+    if (!node.arrows || node.arrows.length === 0) return;
+    name(node);
+    node.arrows.forEach(arrow => name(arrowTarget(leaves, arrow)));
+  });
+  traces.antecedents.forEach((antecedent, trace) => {
+    name(trace);
+    name(antecedent);
+  });
+  return leaves;
+}
+
+function collectNodes(node, leaves) {
+  if (node.type !== Parser.NodeType.ROOT) leaves.nodes.push(node);
+  if (node.type === Parser.NodeType.VALUE) {
+    leaves.list.push(node);
+    return;
+  }
+  node.values.forEach(child => collectNodes(child, leaves));
+}
+
+function arrowTarget(leaves, arrow) {
+  if (typeof arrow.target === 'object') return arrow.target; // A trace's antecedent
+  return typeof arrow.target === 'string'
+    ? leaves.ids.get(arrow.target)
+    : leaves.list[arrow.target - 1];
+}
+
+// Movement arrows become \draw commands between the named nodes
+function drawArrows(leaves, traces, lines) {
+  leaves.nodes.forEach(node => {
+    const arrows = (node.arrows || []).slice();
+    if (traces.antecedents.has(node)) {
+      arrows.push({ends: {to: true, from: false}, target: traces.antecedents.get(node),
+                   label: null, dotted: false});
+    }
+    arrows.forEach(arrow => {
+      const target = arrowTarget(leaves, arrow);
+      if (!target) return;
+      const tip = arrow.ends.from && arrow.ends.to ? '<->' : (arrow.ends.from ? '<-' : '->');
+      const style = [tip].concat(arrow.dotted ? ['dashed'] : []).join(', ');
+      const label = arrow.label
+        ? ' node[midway, below, font=\\small]{' + escapeLatex(arrow.label) + '}'
+        : '';
+      lines.push('\\draw[' + style + '] (' + leaves.names.get(node) + '.south)' +
+                 ' to[out=-90, in=-90]' + label +
+                 ' (' + leaves.names.get(target) + '.south);');
+    });
+  });
+}
+
+function optionList(options) {
+  return options.length > 0 ? ', ' + options.join(', ') : '';
+}
+
+// forest treats commas, brackets and = in node content specially
+function braced(content) {
+  return /[,\[\]=]/.test(content) ? '{' + content + '}' : content;
+}
+
+// Label text with its *italic*, **bold**, %small caps% and --overline--
+// markup as LaTeX. In math mode (sub/superscripts) overlines need no $.
+function latexMarkup(text, math = false) {
+  return parseMarkup(text).map(run => {
+    let latex = escapeLatex(run.text);
+    if (run.italic) latex = '\\textit{' + latex + '}';
+    if (run.bold) latex = '\\textbf{' + latex + '}';
+    if (run.smallcaps) latex = '\\textsc{' + latex + '}';
+    if (run.overline) {
+      latex = '\\overline{\\mbox{' + latex + '}}';
+      if (!math) latex = '$' + latex + '$';
+    }
+    return latex;
+  }).join('');
+}
+
+function escapeLatex(s) {
+  return String(s).replace(/[\\{}$&#^_%~]/g, ch => {
+    switch (ch) {
+      case '\\': return '\\textbackslash{}';
+      case '^': return '\\textasciicircum{}';
+      case '~': return '\\textasciitilde{}';
+      default: return '\\' + ch;
+    }
+  });
+}
@@ -0,0 +1,135 @@
+// Named tree library, stored in IndexedDB so it is available offline.
+// Each entry holds a name and a workspace state (phrase and render options):
+// {id, name, state, created, modified}
+
+'use strict';
+
+const DB_NAME = 'syntaxtree';
+const DB_VERSION = 1;
+const STORE = 'trees';
+const EXPORT_FORMAT = 'syntaxtree-library';
+const EXPORT_VERSION = 1;
+
+let db_promise = null;
+
+// Open (and on first use create) the database
+function openDatabase() {
+  if (db_promise) return db_promise;
+  db_promise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, {keyPath: 'id', autoIncrement: true});
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      db_promise = null;
+      reject('Unable to open the tree library.');
+    };
+  });
+  return db_promise;
+}
+
+// Run a single request against the store and resolve with its result
+async function withStore(mode, request_fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = request_fn(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// List entries, most recently modified first. A search query matches the
+// name or the phrase, case-insensitively.
+export async function listTrees(query = '') {
+  const entries = await withStore('readonly', store => store.getAll());
+  const needle = query.trim().toLowerCase();
+  return entries
+      .filter(entry => needle === '' ||
+                       entry.name.toLowerCase().includes(needle) ||
+                       entry.state.phrase.toLowerCase().includes(needle))
+      .sort((a, b) => b.modified - a.modified);
+}
+
+export async function getTree(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+// Save a state under a new name, returns the new id
+export async function saveTree(name, state) {
+  const now = Date.now();
+  return withStore('readwrite', store => store.add({
+    name: name,
+    state: state,
+    created: now,
+    modified: now
+  }));
+}
+
+// Overwrite the state of an existing entry
+export async function updateTree(id, state) {
+  const entry = await getTree(id);
+  if (!entry) throw 'Tree not found in library.';
+  entry.state = state;
+  entry.modified = Date.now();
+  return withStore('readwrite', store => store.put(entry));
+}
+
+export async function renameTree(id, name) {
+  const entry = await getTree(id);
+  if (!entry) throw 'Tree not found in library.';
+  entry.name = name;
+  entry.modified = Date.now();
+  return withStore('readwrite', store => store.put(entry));
+}
+
+export async function duplicateTree(id) {
+  const entry = await getTree(id);
+  if (!entry) throw 'Tree not found in library.';
+  return saveTree(entry.name + ' (copy)', entry.state);
+}
+
+export async function deleteTree(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
+
+// The whole library as one JSON-serializable object
+export async function exportLibrary() {
+  const entries = await listTrees();
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    trees: entries.map(entry => ({
+      name: entry.name,
+      state: entry.state,
+      created: entry.created,
+      modified: entry.modified
+    }))
+  };
+}
+
+// Add all trees of an exported library; returns how many were added
+export async function importLibrary(data) {
+  if (data == null || data.format !== EXPORT_FORMAT || !Array.isArray(data.trees))
+    throw 'Not a SyntaxTree library file.';
+  if (data.version > EXPORT_VERSION)
+    throw 'This library file was made by a newer version of SyntaxTree.';
+  const entries = data.trees.filter(entry =>
+      entry != null && typeof entry.name === 'string' &&
+      entry.state != null && typeof entry.state.phrase === 'string');
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    const now = Date.now();
+    entries.forEach(entry => store.add({
+      name: entry.name,
+      state: entry.state,
+      created: entry.created || now,
+      modified: entry.modified || now
+    }));
+    transaction.oncomplete = () => resolve(entries.length);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
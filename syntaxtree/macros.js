@@ -0,0 +1,304 @@
+// Macros: templates for the skeletons that are typed again and again, such
+// as X-bar projections. Definitions go at the top of the input, calls
+// anywhere after them:
+//
+//   def XBAR(X, comp) = [${X}P [${X}' [$X] $comp]]
+//   [S $XBAR(V, [NP it])]
+//
+// In a body, $name or ${name} stands for a parameter. A call $NAME(a, b)
+// passes one argument per parameter, split at commas outside brackets,
+// parentheses and quotes; $NAME() calls a macro without parameters. A $
+// that does not start a call is an ordinary character, and \$ never starts
+// one. The built-in macros can be called without a definition, and a
+// definition of the same name replaces them. Calls are expanded before the
+// input is tokenized, so the parser only sees the resulting brackets.
+
+'use strict';
+
+import { ParseError } from './tokenizer.js';
+
+// Macros that are always there: X-bar shells for the clause and the
+// nominal projections
+export const BUILTIN_MACROS = {
+  XP: {params: ['X', 'spec', 'head', 'comp'], body: '[${X}P $spec [${X}\' [$X $head] $comp]]'},
+  CP: {params: ['spec', 'C', 'TP'], body: '[CP $spec [C\' [C $C] $TP]]'},
+  TP: {params: ['spec', 'T', 'vP'], body: '[TP $spec [T\' [T $T] $vP]]'},
+  vP: {params: ['spec', 'v', 'VP'], body: '[vP $spec [v\' [v $v] $VP]]'},
+  VP: {params: ['V', 'comp'], body: '[VP [V\' [V $V] $comp]]'},
+  DP: {params: ['D', 'NP'], body: '[DP [D\' [D $D] $NP]]'},
+  PP: {params: ['P', 'comp'], body: '[PP [P\' [P $P] $comp]]'}
+};
+
+const NAME = /^[A-Za-z][A-Za-z0-9]*/;
+const DEFINITION = /^def\s+([A-Za-z][A-Za-z0-9]*)\s*(?:\(([^)]*)\))?\s*=\s*/;
+// Parameter references in a body: \x (skipped), ${name} and $name
+const REFERENCE = /\\.|\$\{([^}]*)\}|\$([A-Za-z][A-Za-z0-9]*)/g;
+// Limits on the expansion of one input. Macros that call each other twice
+// over, or pass an argument on twice, double in size with every level.
+const MAX_CALLS = 10000;
+const MAX_LENGTH = 100000;
+
+// Read the definitions at the top of input and expand every call after them.
+// Returns null if there is nothing to expand, otherwise {text, starts, ends,
+// macros, defined}: the expanded text and, for each of its characters, the
+// source range it came from and the macro that produced it (null for text
+// copied as it is), and the names of the macros defined. Text from a call
+// maps to the whole call.
+export function expandMacros(input) {
+  if (!input.includes('$') && !/(^|\n)\s*def\s/.test(input)) return null;
+  const macros = new Map(Object.entries(BUILTIN_MACROS));
+  const defined = [];
+  const pos = readDefinitions(input, macros, defined);
+  const expansion = {text: '', starts: [], ends: [], macros: [], defined: defined};
+  const context = {input: input, macros: macros, stack: [], offset: pos, origin: null,
+                   count: {calls: 0}};
+  expandText(input.substring(pos), context, {
+    literal: (text, start) => {
+      for (let i = 0; i < text.length; ++i) {
+        expansion.starts.push(pos + start + i);
+        expansion.ends.push(pos + start + i + 1);
+        expansion.macros.push(null);
+      }
+      expansion.text += text;
+    },
+    call: (text, start, end, name) => {
+      for (let i = 0; i < text.length; ++i) {
+        expansion.starts.push(pos + start);
+        expansion.ends.push(pos + end);
+        expansion.macros.push(name);
+      }
+      expansion.text += text;
+    }
+  });
+  return expansion;
+}
+
+// Whether input defines or calls macros. Its tree cannot be written back
+// as the same text then.
+export function usesMacros(input) {
+  const expansion = expandMacros(input);
+  return expansion != null &&
+         (expansion.defined.length > 0 || expansion.macros.some(name => name != null));
+}
+
+// Read def lines from the start of input into macros, adding their names to
+// defined. Returns the offset of the first character after them.
+function readDefinitions(input, macros, defined) {
+  let pos = skipSpace(input, 0);
+  while (/^def\s/.test(input.substring(pos))) {
+    const match = DEFINITION.exec(input.substring(pos));
+    if (!match) {
+      throw ParseError.atOffset(input, pos, pos + 3,
+                                'Expected a macro definition: def NAME(parameters) = [...]');
+    }
+    const name = match[1];
+    const header_end = pos + match[0].length;
+    if (defined.includes(name))
+      throw ParseError.atOffset(input, pos, header_end, 'Macro $' + name + ' is already defined');
+    const params = match[2] == null || match[2].trim() === ''
+      ? [] : match[2].split(',').map(param => param.trim());
+    params.forEach((param, i) => {
+      if (!new RegExp(NAME.source + '$').test(param))
+        throw ParseError.atOffset(input, pos, header_end, 'Invalid parameter name "' + param + '"');
+      if (params.indexOf(param) !== i)
+        throw ParseError.atOffset(input, pos, header_end, 'Duplicate parameter ' + param);
+    });
+
+    const body_start = header_end;
+    if (input.charAt(body_start) !== '[') {
+      throw ParseError.atOffset(input, body_start, body_start + 1,
+                                'Expected [ after = in $' + name);
+    }
+    const body_end = findClosingBracket(input, body_start);
+    if (body_end < 0) {
+      throw ParseError.atOffset(input, pos, body_start + 1,
+                                'Unterminated definition of $' + name + '. Missing closing ]');
+    }
+    const body = input.substring(body_start, body_end);
+    checkReferences(input, body, body_start, name, params);
+    macros.set(name, {params: params, body: body});
+    defined.push(name);
+    pos = skipSpace(input, body_end);
+  }
+  return pos;
+}
+
+// Every $name in a body must be a parameter or start a call
+function checkReferences(input, body, offset, name, params) {
+  for (const match of body.matchAll(REFERENCE)) {
+    if (match[0].charAt(0) === '\\') continue;
+    const ref = match[1] != null ? match[1] : match[2];
+    const is_call = match[1] == null && body.charAt(match.index + match[0].length) === '(';
+    if (!params.includes(ref) && !is_call) {
+      const start = offset + match.index;
+      throw ParseError.atOffset(input, start, start + match[0].length, 'Unknown parameter ' +
+                                match[0] + ' in $' + name + '. Write \\$ for a $');
+    }
+  }
+}
+
+// Expand the calls in text, handing the pieces to out.literal(text, start)
+// and out.call(expanded, start, end, name). Offsets are relative to text.
+function expandText(text, context, out) {
+  let literal_start = 0;
+  let i = 0;
+  while (i < text.length) {
+    const ch = text.charAt(i);
+    const name = ch === '$' ? callName(text, i) : null;
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === '"' || ch === '`') {
+      i = skipQuoted(text, i);
+    } else if (ch === 'd' && context.origin == null && atLineStart(text, i) &&
+               DEFINITION.test(text.substring(i))) {
+      throw error(context, i, i + 3, 'Macro definitions must come before the tree');
+    } else if (name) {
+      const [args, end] = readArguments(text, i, name, context);
+      if (i > literal_start) out.literal(text.substring(literal_start, i), literal_start);
+      out.call(expandCall(name, args, i, end, context), i, end, name);
+      i = end;
+      literal_start = end;
+    } else {
+      ++i;
+    }
+  }
+  if (text.length > literal_start) out.literal(text.substring(literal_start), literal_start);
+}
+
+// Name of the macro called by the $ at offset i, or null if no ( follows
+function callName(text, i) {
+  const match = NAME.exec(text.substring(i + 1));
+  return match && text.charAt(i + 1 + match[0].length) === '(' ? match[0] : null;
+}
+
+// Expand text to a string
+function expandToString(text, context) {
+  let result = '';
+  const append = (piece) => { result += piece; };
+  expandText(text, context, {literal: append, call: append});
+  return result;
+}
+
+// The body of macro name with its parameters replaced by the arguments.
+// Arguments are expanded where they are written, the body after that.
+function expandCall(name, args, start, end, context) {
+  const macro = context.macros.get(name);
+  const caller = context.stack.length > 0 ? ' in $' + context.stack[context.stack.length - 1] : '';
+  if (!macro) throw error(context, start, end, 'Undefined macro $' + name + caller);
+  if (context.stack.includes(name)) {
+    throw error(context, start, end,
+                'Recursive macro: $' + context.stack.concat([name]).join(' calls $'));
+  }
+  if (args.length !== macro.params.length) {
+    throw error(context, start, end, '$' + name + ' takes ' + macro.params.length +
+                ' argument(s) (' + macro.params.join(', ') + '), not ' + args.length);
+  }
+  if (++context.count.calls > MAX_CALLS) {
+    throw error(context, start, end,
+                'Macros make more than ' + MAX_CALLS + ' calls. Check for macros that call ' +
+                'each other over and over');
+  }
+  const values = args.map(arg => expandToString(arg.text, {
+    ...context,
+    offset: context.offset == null ? null : context.offset + arg.start
+  }).trim());
+  const body = macro.body.replace(REFERENCE, (match, braced, bare) => {
+    const index = macro.params.indexOf(braced != null ? braced : bare);
+    return match.charAt(0) === '\\' || index < 0 ? match : values[index];
+  });
+  const expanded = expandToString(body, {
+    ...context,
+    stack: context.stack.concat([name]),
+    offset: null,
+    origin: context.origin || {start: context.offset + start, end: context.offset + end}
+  });
+  if (expanded.length > MAX_LENGTH) {
+    throw error(context, start, end,
+                '$' + name + ' expands to more than ' + MAX_LENGTH + ' characters');
+  }
+  return expanded;
+}
+
+// Arguments of the call $name( at start: [[{text, start}], end], end being
+// the offset after the closing )
+function readArguments(text, start, name, context) {
+  const args = [];
+  let depth = 0;
+  let arg_start = start + name.length + 2;
+  let i = arg_start;
+  while (i < text.length) {
+    const ch = text.charAt(i);
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '"' || ch === '`') {
+      i = skipQuoted(text, i);
+      continue;
+    }
+    if (ch === '[' || ch === '(') {
+      ++depth;
+    } else if (ch === ']') {
+      --depth;
+    } else if (ch === ')' && depth > 0) {
+      --depth;
+    } else if ((ch === ',' || ch === ')') && depth <= 0) {
+      args.push({text: text.substring(arg_start, i), start: arg_start});
+      arg_start = i + 1;
+      if (ch === ')') {
+        // $NAME() has no arguments rather than one empty one
+        if (args.length === 1 && args[0].text.trim() === '') args.pop();
+        return [args, i + 1];
+      }
+    }
+    ++i;
+  }
+  throw error(context, start, start + name.length + 2, 'Missing ) after the arguments of $' + name);
+}
+
+// Error at a range of the text being expanded, or at the call it came from
+function error(context, start, end, message) {
+  if (context.offset == null)
+    return ParseError.atOffset(context.input, context.origin.start, context.origin.end, message);
+  return ParseError.atOffset(context.input, context.offset + start, context.offset + end, message);
+}
+
+// Offset of the ] that closes the [ at start, plus one, or -1
+function findClosingBracket(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; ++i) {
+    const ch = text.charAt(i);
+    if (ch === '\\') {
+      ++i;
+    } else if (ch === '"' || ch === '`') {
+      i = skipQuoted(text, i) - 1;
+    } else if (ch === '[') {
+      ++depth;
+    } else if (ch === ']' && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+// Offset after the quoted string or gloss starting at start. An unterminated
+// one runs to the end; the tokenizer reports it.
+function skipQuoted(text, start) {
+  const quote = text.charAt(start);
+  for (let i = start + 1; i < text.length; ++i) {
+    if (text.charAt(i) === '\\') ++i;
+    else if (text.charAt(i) === quote) return i + 1;
+  }
+  return text.length;
+}
+
+function skipSpace(text, pos) {
+  while (pos < text.length && /\s/.test(text.charAt(pos))) ++pos;
+  return pos;
+}
+
+// Whether only whitespace comes before offset i on its line
+function atLineStart(text, i) {
+  const line_start = text.lastIndexOf('\n', i - 1) + 1;
+  return text.substring(line_start, i).trim() === '';
+}
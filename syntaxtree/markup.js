@@ -0,0 +1,175 @@
+// Inline markup in label text, for object-language italics, glosses in
+// small caps and X-bar overlines:
+//
+//   *italic*   **bold**   ***bold italic***   %small caps%   --overline--
+//
+// Marks nest (**a *b* c**) and apply to labels, leaves and sub- and
+// superscripts alike. An opening mark without a matching closing one is
+// plain text, and \*, \% and \- always are, so *John left stays as it is.
+// As in Markdown, text after an opening mark and before a closing one must
+// not start or end with a space, so *John *Mary are two starred words; %
+// and -- do not mark text inside a word, so A--B--C stays as it is.
+//
+// Markup is off unless it is turned on (Tree.setMarkup, the Markup option),
+// so labels written before it existed, such as a*b*c, are drawn as written.
+
+'use strict';
+
+import { graphemes } from './unicode.js';
+
+// Marks, longest first so *** is not read as ** followed by *
+const MARKS = [
+  {mark: '***', style: {bold: true, italic: true}},
+  {mark: '**', style: {bold: true}},
+  {mark: '*', style: {italic: true}},
+  {mark: '%', style: {smallcaps: true}},
+  {mark: '--', style: {overline: true}}
+];
+
+// Size of the small capitals, relative to the font size
+const SMALLCAPS_SCALE = 0.78;
+
+// Marks that only start or end at a word boundary
+const WORD_MARKS = ['%', '--'];
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Split text into runs of equally styled text: [{text, bold, italic,
+// smallcaps, overline}]. Text without markup is a single plain run.
+export function parseMarkup(text) {
+  const runs = [];
+  parseRuns(String(text), {}, runs);
+  return runs.filter(run => run.text !== '');
+}
+
+// Text with the markup taken out
+export function plainText(text) {
+  return parseMarkup(text).map(run => run.text).join('');
+}
+
+// Text with its marks escaped, so it is drawn as it is
+export function escapeMarkup(text) {
+  return String(text).replace(/[*%-]/g, '\\$&');
+}
+
+// Width of text with markup at the canvas's current font, size and style
+export function measureMarkup(canvas, text) {
+  return layoutRuns(canvas, canvasRuns(canvas, text))
+    .reduce((sum, piece) => sum + piece.width, 0);
+}
+
+// Draw text with markup centered on x, top at y, in the current font, size
+// and style. Overlines are stroked in color; the stroke style is left set.
+export function drawMarkup(canvas, text, x, y, color) {
+  const pieces = layoutRuns(canvas, canvasRuns(canvas, text));
+  const total = pieces.reduce((sum, piece) => sum + piece.width, 0);
+  const saved_style = canvas.fontstyle;
+  const saved_size = canvas.fontsize;
+  let left = x - total / 2;
+  pieces.forEach(piece => {
+    canvas.setFontStyle(piece.fontstyle);
+    canvas.setFontSize(piece.fontsize);
+    canvas.text(piece.text, left + piece.width / 2, y + (saved_size - piece.fontsize) * 0.75);
+    if (piece.overline) {
+      canvas.setStrokeStyle(color);
+      canvas.line(left, y - 1, left + piece.width, y - 1);
+    }
+    left += piece.width;
+  });
+  canvas.setFontStyle(saved_style);
+  canvas.setFontSize(saved_size);
+}
+
+// Runs of text as the canvas shows it: one plain run unless markup is on
+function canvasRuns(canvas, text) {
+  return parseMarkup(canvas.markup ? text : escapeMarkup(text));
+}
+
+function parseRuns(text, style, runs) {
+  let plain = '';
+  let i = 0;
+  const flush = () => {
+    if (plain) runs.push({text: plain, ...style});
+    plain = '';
+  };
+  while (i < text.length) {
+    if (text.charAt(i) === '\\' && '*%-'.includes(text.charAt(i + 1))) {
+      plain += text.charAt(i + 1);
+      i += 2;
+      continue;
+    }
+    const found = MARKS.find(({mark}) => text.startsWith(mark, i) &&
+                                         !(WORD_MARKS.includes(mark) && isWordChar(text, i - 1)) &&
+                                         findClosing(text, mark, i + mark.length) > 0);
+    if (!found) {
+      plain += text.charAt(i++);
+      continue;
+    }
+    const end = findClosing(text, found.mark, i + found.mark.length);
+    flush();
+    parseRuns(text.substring(i + found.mark.length, end), {...style, ...found.style}, runs);
+    i = end + found.mark.length;
+  }
+  flush();
+}
+
+// Index of the mark closing one opened before start, or -1. Text between
+// the marks must not be empty and must not start or end with a space.
+function findClosing(text, mark, start) {
+  if (start >= text.length || text.charAt(start) === ' ') return -1;
+  for (let i = start + 1; i <= text.length - mark.length; ++i) {
+    if (text.charAt(i - 1) === '\\' || text.charAt(i - 1) === ' ') continue;
+    if (WORD_MARKS.includes(mark) && isWordChar(text, i + mark.length)) continue;
+    if (text.startsWith(mark, i) && text.charAt(i + mark.length) !== mark.charAt(0)) return i;
+  }
+  return -1;
+}
+
+// Whether the character at index i is a letter or digit
+function isWordChar(text, i) {
+  return i >= 0 && i < text.length && WORD_CHAR.test(text.charAt(i));
+}
+
+// Pieces of text to draw one after the other, with their font style, size
+// and width. Small caps become capitals at a smaller size.
+function layoutRuns(canvas, runs) {
+  const base_style = canvas.fontstyle || '';
+  const base_size = canvas.fontsize;
+  const pieces = [];
+  // Measured with textWidth, which every canvas has, at each piece's style
+  runs.forEach(run => {
+    const fontstyle = [
+      run.italic || /italic/.test(base_style) ? 'italic' : '',
+      run.bold || /bold/.test(base_style) ? 'bold' : ''
+    ].filter(s => s).join(' ');
+    const segments = run.smallcaps ? smallCapsSegments(run.text) : [[run.text, false]];
+    segments.forEach(([text, small]) => {
+      const fontsize = small ? base_size * SMALLCAPS_SCALE : base_size;
+      canvas.setFontStyle(fontstyle);
+      canvas.setFontSize(fontsize);
+      pieces.push({
+        text: text,
+        fontstyle: fontstyle,
+        fontsize: fontsize,
+        width: canvas.textWidth(text),
+        overline: !!run.overline
+      });
+    });
+  });
+  canvas.setFontStyle(base_style);
+  canvas.setFontSize(base_size);
+  return pieces;
+}
+
+// Split text into [text, small] segments: lower case letters become small
+// capitals, everything else keeps its size
+function smallCapsSegments(text) {
+  const segments = [];
+  graphemes(text).forEach(cluster => {
+    const small = cluster !== cluster.toUpperCase();
+    const shown = small ? cluster.toUpperCase() : cluster;
+    const last = segments[segments.length - 1];
+    if (last && last[1] === small) last[0] += shown;
+    else segments.push([shown, small]);
+  });
+  return segments;
+}
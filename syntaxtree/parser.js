@@ -1,6 +1,7 @@
 'use strict';
  
 import * as Tokenizer from './tokenizer.js';
+import { parseAvm } from './avm.js';
 
 export const NodeType = {
   ROOT: 'ROOT',
@@ -8,18 +9,88 @@ export const NodeType = {
   VALUE: 'VALUE'
 };
 
-export function parse(tokens) {
+// Node names, as in [DP@subj and ->@subj: a letter followed by letters,
+// digits and ' . : -, so that they are written back as they are
+export const NODE_NAME = /^\p{L}[\p{L}\p{M}\p{N}'.:-]*$/u;
+
+// Checks for basic bracket errors in the token list. Throws the first one,
+// or, like parse, pushes them onto diagnostics if it is given.
+export function validate(tokens, diagnostics = null) {
+  if (tokens.length < 3) {
+    report(diagnostics, 'Phrase too short');
+    return null;
+  }
+  if (tokens[0].type != Tokenizer.TokenType.BRACKET_OPEN) {
+    report(diagnostics,
+           Tokenizer.ParseError.at(tokens[0], 'Phrase must start with [ and end with ]'));
+  } else if (tokens[tokens.length - 1].type != Tokenizer.TokenType.BRACKET_CLOSE) {
+    report(diagnostics, Tokenizer.ParseError.at(tokens[tokens.length - 1],
+                                                'Phrase must start with [ and end with ]'));
+  }
+  // Point at the first stray ] or the innermost [ that is never closed
+  const [open, stray] = findUnmatchedBrackets(tokens);
+  if (stray.length > 0) {
+    report(diagnostics,
+           Tokenizer.ParseError.at(stray[0], stray.length + ' too many closed bracket(s) ]'));
+  } else if (open.length > 0) {
+    report(diagnostics,
+           Tokenizer.ParseError.at(open[open.length - 1], open.length + ' bracket(s) open ['));
+  }
+  return null;
+}
+
+// Matches brackets up and returns the [ tokens left open and the ] tokens
+// without a matching [ (both empty if balanced)
+function findUnmatchedBrackets(tokens) {
+  const open = [];
+  const stray = [];
+  for (const token of tokens) {
+    if (token.type == Tokenizer.TokenType.BRACKET_OPEN) open.push(token);
+    if (token.type == Tokenizer.TokenType.BRACKET_CLOSE) {
+      if (open.length > 0) open.pop();
+      else stray.push(token);
+    }
+  }
+  return [open, stray];
+}
+
+// Parse a token list into a tree. By default the first error is thrown.
+// If a diagnostics array is passed, the parser recovers instead: missing ]
+// are inserted, unexpected tokens are skipped, every error is pushed onto
+// diagnostics and a best-effort tree is returned. Nodes affected by a
+// recovery are marked with recovered: true.
+// Every NODE and VALUE records its source range (start/end) and the range of
+// its label (labelStart/labelEnd) as character offsets into the input. A
+// label from a macro call has no range of its own, the node covers the call.
+export function parse(tokens, diagnostics = null) {
   const root = {type: NodeType.ROOT, label: '__ROOT__', values: []};
   let node = null;
   let current = 0;
   while (current < tokens.length) {
-    [current, node] = parseToken(tokens, current);
-    root.values.push(node);
+    [current, node] = parseToken(tokens, current, diagnostics, true);
+    if (node) root.values.push(node);
   }
   return root;
 }
 
-function parseNode(tokens, current) {
+// Record where the label from first_token to last_token is in the input,
+// unless a macro call wrote it
+function setLabelRange(node, first_token, last_token) {
+  if (first_token.macro == null && last_token.macro == null) {
+    node.labelStart = first_token.start;
+    node.labelEnd = last_token.end;
+  }
+  return node;
+}
+
+// Throw the error, or record it if the parser is recovering
+function report(diagnostics, error) {
+  if (diagnostics == null) throw error;
+  diagnostics.push(error);
+}
+
+// A top node (top is true) may end its label with a `translation`
+function parseNode(tokens, current, diagnostics, top = false) {
   const node = {
     type: NodeType.NODE,
     label: null,
@@ -30,36 +101,70 @@ function parseNode(tokens, current) {
     caseFeature: null
   };
 
-  // Get label
-  if (current > tokens.length - 2) throw 'Missing label after [';
+  const open_token = tokens[current];
+
+  // Get label, or a placeholder when recovering
   const label_token = tokens[++current];
-  if (label_token.type !== Tokenizer.TokenType.STRING &&
-      label_token.type !== Tokenizer.TokenType.QUOTED_STRING)
-    throw 'Expected label string after [';
-  node.label = tokens[current++].value;
+  if (label_token == null) {
+    report(diagnostics, Tokenizer.ParseError.at(open_token, 'Missing label after ['));
+    node.label = '?';
+    node.recovered = true;
+  } else if (label_token.type === Tokenizer.TokenType.EMPTY) {
+    // An empty node, e.g. a struck-through lower copy [~DP ...]
+    setLabelRange(node, label_token, label_token);
+    [node.label, node.link] = parseEmptyText(tokens[current++].value);
+    node.empty = true;
+    if (node.link == null) delete node.link;
+  } else if (label_token.type !== Tokenizer.TokenType.STRING &&
+             label_token.type !== Tokenizer.TokenType.QUOTED_STRING) {
+    report(diagnostics, Tokenizer.ParseError.at(label_token, 'Expected label string after ['));
+    node.label = '?';
+    node.recovered = true;
+  } else {
+    setLabelRange(node, label_token, label_token);
+    node.label = tokens[current++].value;
+  }
 
   // Check for sub/superscript
-  if (current < tokens.length - 1 &&
-      (tokens[current].type === Tokenizer.TokenType.SUBSCRIPT_PREFIX ||
-       tokens[current].type === Tokenizer.TokenType.SUPERSCRIPT_PREFIX)) {
-    let is_super = tokens[current].type === Tokenizer.TokenType.SUPERSCRIPT_PREFIX;
-    const subscript_token = tokens[++current];
-    if (subscript_token.type !== Tokenizer.TokenType.STRING &&
-        subscript_token.type !== Tokenizer.TokenType.QUOTED_STRING)
-      throw current + ': Expected subscript string after _ or ^';
-    if (is_super)
-      node.superscript = tokens[current++].value;
-    else
-      node.subscript = tokens[current++].value;
+  let failed = false;
+  [current, node.subscript, node.superscript, failed] = parseScripts(tokens, current, diagnostics);
+  if (failed) node.recovered = true;
+  let glosses = [];
+  [current, glosses] = parseGlosses(tokens, current, glosses);
+
+  // Optional style, identifier, feature structure and arrows from this node
+  [current, node.style, failed] = parseStyle(tokens, current, diagnostics);
+  if (failed) node.recovered = true;
+  [current, node.id, failed] = parseId(tokens, current, diagnostics);
+  if (failed) node.recovered = true;
+  [current, node.avm, failed] = parseAvmToken(tokens, current, diagnostics);
+  if (failed) node.recovered = true;
+  [current, node.arrows, failed] = parseArrows(tokens, current, diagnostics);
+  if (failed) node.recovered = true;
+  [current, glosses] = parseGlosses(tokens, current, glosses);
+  if (glosses.length > 0 && !top) {
+    report(diagnostics, Tokenizer.ParseError.at(glosses[0],
+        'Only the top node takes a `translation`. A `gloss` goes right after its word'));
+    node.recovered = true;
+  } else if (glosses.length > 1) {
+    report(diagnostics, Tokenizer.ParseError.at(glosses[1], 'A tree has only one `translation`'));
+    node.recovered = true;
   }
+  if (top && glosses.length > 0) node.translation = glosses[0].value;
+  if (node.style == null) delete node.style;
+  if (node.id == null) delete node.id;
+  if (node.avm == null) delete node.avm;
+  if (node.arrows.length === 0) delete node.arrows;
 
   // Parse children
   while (current < tokens.length &&
          tokens[current].type !== Tokenizer.TokenType.BRACKET_CLOSE) {
     let value = null;
-    [current, value] = parseToken(tokens, current);
-    if (value) {
-      if (value.type === NodeType.VALUE && /^\+/.test(value.label)) {
+    [current, value] = parseToken(tokens, current, diagnostics);
+    if (!value) {
+      node.recovered = true; // A token was skipped
+    } else {
+      if (value.type === NodeType.VALUE && !value.empty && /^\+/.test(value.label)) {
         node.features.push(value.label);
       } else if (value.type === NodeType.VALUE && /^\{.*\}$/.test(value.label)) {
         // Case feature: label starts and ends with {}
@@ -90,16 +195,27 @@ function parseNode(tokens, current) {
     }
   }
 
-  if (current >= tokens.length)
-    throw (current - 1) + ': Missing closing bracket ] ...';
+  if (current >= tokens.length) {
+    // Insert the missing ] at the end of the input
+    report(diagnostics, Tokenizer.ParseError.at(open_token, 'Missing closing bracket ] for this ['));
+    node.recovered = true;
+  }
 
+  node.start = open_token.start;
+  node.end = tokens[Math.min(current, tokens.length - 1)].end;
   return [current + 1, node];
 }
 
-function parseValue(tokens, current) {
+function parseValue(tokens, current, diagnostics) {
   // Assemble multi-string or quoted string label
+  const first_token = tokens[current];
   let label = null;
-  if (tokens[current].type === Tokenizer.TokenType.STRING) {
+  let empty = false;
+  let link = null;
+  if (tokens[current].type === Tokenizer.TokenType.EMPTY) {
+    [label, link] = parseEmptyText(tokens[current++].value);
+    empty = true;
+  } else if (tokens[current].type === Tokenizer.TokenType.STRING) {
     const values = [];
     while (current < tokens.length &&
            tokens[current].type === Tokenizer.TokenType.STRING)
@@ -108,32 +224,83 @@ function parseValue(tokens, current) {
   } else {
     label = tokens[current++].value;
   }
+  const label_range = setLabelRange({}, first_token, tokens[current - 1]);
 
   // Check for sub/superscript
   let subscript = null;
   let superscript = null;
-  if (current < tokens.length - 1 &&
-      (tokens[current].type === Tokenizer.TokenType.SUBSCRIPT_PREFIX ||
-       tokens[current].type === Tokenizer.TokenType.SUPERSCRIPT_PREFIX)) {
-    let is_super = tokens[current].type === Tokenizer.TokenType.SUPERSCRIPT_PREFIX;
-    const subscript_token = tokens[++current];
-    if (subscript_token.type !== Tokenizer.TokenType.STRING &&
-        subscript_token.type !== Tokenizer.TokenType.QUOTED_STRING)
-      throw current + ': Expected subscript string after _/^';
-    if (is_super)
-      superscript = tokens[current++].value;
-    else
-      subscript = tokens[current++].value;
-  }
-
-  // Parse multiple arrows separated by commas
-  let arrows = [];
+  let recovered = false;
+  let failed = false;
+  [current, subscript, superscript, failed] = parseScripts(tokens, current, diagnostics);
+  if (failed) recovered = true;
+  let glosses = [];
+  [current, glosses] = parseGlosses(tokens, current, glosses);
+
+  // Optional style, feature structure and arrows. Only nodes are named
+  // with @, an @ in a word is part of it.
+  let style = null;
+  let avm = null;
+  let arrows = null;
+  [current, style, failed] = parseStyle(tokens, current, diagnostics);
+  if (failed) recovered = true;
+  [current, avm, failed] = parseAvmToken(tokens, current, diagnostics);
+  if (failed) recovered = true;
+  [current, arrows, failed] = parseArrows(tokens, current, diagnostics);
+  if (failed) recovered = true;
+  [current, glosses] = parseGlosses(tokens, current, glosses);
+
+  // Check for case feature in value (for leaf nodes)
+  let caseFeature = null;
+  if (/^\{.*\}$/.test(label)) {
+    caseFeature = label;
+  }
+
+  return [
+    current,
+    {
+      type: NodeType.VALUE,
+      label: label,
+      subscript: subscript,
+      superscript: superscript,
+      style: style || undefined,
+      avm: avm || undefined,
+      arrows: arrows.length > 0 ? arrows : undefined,
+      glosses: glosses.length > 0 ? glosses.map(token => token.value) : undefined,
+      caseFeature: caseFeature, // propagate caseFeature for leaf nodes
+      empty: empty || undefined,
+      link: link || undefined,
+      recovered: recovered || undefined,
+      start: first_token.start,
+      end: tokens[current - 1].end,
+      ...label_range
+    }
+  ];
+}
+
+// Label used for an empty category written as a bare ~
+export const EMPTY_LABEL = '∅';
+
+// Split the text of a ~ token into label and link: ~t:wh is a trace t
+// linked to the node named @wh. Returns [label, link].
+function parseEmptyText(text) {
+  const colon = text.indexOf(':');
+  const label = colon < 0 ? text : text.substring(0, colon);
+  const link = colon < 0 ? null : text.substring(colon + 1);
+  return [label || EMPTY_LABEL, link || null];
+}
+
+// Parse multiple arrows separated by commas. An arrow points at a leaf by
+// column number (->3) or at any node by identifier (->@subj).
+// Returns [current, arrows, recovered].
+function parseArrows(tokens, current, diagnostics) {
+  const arrows = [];
+  let recovered = false;
   while (current < tokens.length - 1) {
     // Check for arrow token
     let arrowTypes = [Tokenizer.TokenType.ARROW_TO, Tokenizer.TokenType.ARROW_FROM, Tokenizer.TokenType.ARROW_BOTH, 'ARROW_DOTTED_TO'];
     if (arrowTypes.includes(tokens[current].type)) {
       // Parse one or more arrows separated by commas
-      while (arrowTypes.includes(tokens[current].type)) {
+      while (current < tokens.length && arrowTypes.includes(tokens[current].type)) {
         const type = tokens[current].type;
         const ends = {
           to: type === Tokenizer.TokenType.ARROW_TO ||
@@ -144,16 +311,32 @@ function parseValue(tokens, current) {
         };
         const dotted = type === 'ARROW_DOTTED_TO';
 
+        const arrow_token = tokens[current];
         const target_token = tokens[++current];
-        if (target_token.type !== Tokenizer.TokenType.NUMBER)
-          throw current + ': Expected column number after arrow';
-        const target_value = tokens[current++].value;
+        let target_value = null;
+        if (target_token != null && target_token.type === Tokenizer.TokenType.NUMBER) {
+          target_value = tokens[current++].value;
+        } else if (target_token != null && target_token.type === Tokenizer.TokenType.ID_PREFIX &&
+                   current + 1 < tokens.length &&
+                   tokens[current + 1].type === Tokenizer.TokenType.STRING &&
+                   NODE_NAME.test(tokens[current + 1].value)) {
+          target_value = tokens[current + 1].value;
+          current += 2;
+        } else {
+          // Drop the arrow when recovering
+          report(diagnostics, Tokenizer.ParseError.at(target_token || arrow_token,
+                                                      'Expected column number or @name after arrow'));
+          recovered = true;
+          break;
+        }
 
+        // Optional label; a bare comma separates the next arrow instead
         let label_text = null;
         if (current < tokens.length &&
-            (tokens[current].type === Tokenizer.TokenType.STRING ||
+            ((tokens[current].type === Tokenizer.TokenType.STRING &&
+              tokens[current].value !== ',') ||
              tokens[current].type === Tokenizer.TokenType.QUOTED_STRING)) {
-          label_text = tokens[current++].value;
+          label_text = tokens[current++].value || null;
         }
 
         arrows.push({
@@ -175,33 +358,121 @@ function parseValue(tokens, current) {
     }
   }
 
-  // Check for case feature in value (for leaf nodes)
-  let caseFeature = null;
-  if (/^\{.*\}$/.test(label)) {
-    caseFeature = label;
+  return [current, arrows, recovered];
+}
+
+// Parse an optional node identifier: @name. Returns [current, id, recovered].
+function parseId(tokens, current, diagnostics) {
+  if (current >= tokens.length || tokens[current].type !== Tokenizer.TokenType.ID_PREFIX)
+    return [current, null, false];
+  const id_token = tokens[++current];
+  if (id_token == null || id_token.type !== Tokenizer.TokenType.STRING) {
+    report(diagnostics, Tokenizer.ParseError.at(id_token || tokens[current - 1],
+                                                'Expected name after @'));
+    return [current, null, true];
+  }
+  if (!NODE_NAME.test(id_token.value)) {
+    report(diagnostics, Tokenizer.ParseError.at(id_token, 'Invalid name @' + id_token.value +
+                                                '. Names are a letter followed by letters, ' +
+                                                'digits and \' . : -'));
+    return [current + 1, null, true];
   }
+  return [current + 1, id_token.value, false];
+}
 
-  return [
-    current,
-    {
-      type: NodeType.VALUE,
-      label: label,
-      subscript: subscript,
-      superscript: superscript,
-      arrows: arrows.length > 0 ? arrows : undefined,
-      caseFeature: caseFeature // propagate caseFeature for leaf nodes
+// Parse an optional attribute-value matrix: &[HEAD verb, AGR #1 [NUM sg]].
+// See avm.js for the notation. Returns [current, avm, recovered].
+function parseAvmToken(tokens, current, diagnostics) {
+  if (current >= tokens.length || tokens[current].type !== Tokenizer.TokenType.AVM)
+    return [current, null, false];
+  try {
+    return [current + 1, parseAvm(tokens[current].value), false];
+  } catch (err) {
+    report(diagnostics, Tokenizer.ParseError.at(tokens[current], err));
+    return [current + 1, null, true];
+  }
+}
+
+// Optional _subscript and ^superscript, in either order, as in T_i^max or
+// V^0. Returns [current, subscript, superscript, recovered].
+function parseScripts(tokens, current, diagnostics) {
+  let subscript = null;
+  let superscript = null;
+  let recovered = false;
+  while (current < tokens.length - 1 &&
+         (tokens[current].type === Tokenizer.TokenType.SUBSCRIPT_PREFIX ||
+          tokens[current].type === Tokenizer.TokenType.SUPERSCRIPT_PREFIX)) {
+    const is_super = tokens[current].type === Tokenizer.TokenType.SUPERSCRIPT_PREFIX;
+    const prefix_token = tokens[current];
+    const script_token = tokens[++current];
+    if (script_token.type !== Tokenizer.TokenType.STRING &&
+        script_token.type !== Tokenizer.TokenType.QUOTED_STRING &&
+        script_token.type !== Tokenizer.TokenType.NUMBER) {
+      report(diagnostics, Tokenizer.ParseError.at(script_token,
+                                                  'Expected subscript string after _ or ^'));
+      recovered = true; // Skip the _ or ^ and carry on
+    } else if ((is_super ? superscript : subscript) !== null) {
+      report(diagnostics, Tokenizer.ParseError.at(prefix_token, is_super
+        ? 'Only one superscript allowed per label' : 'Only one subscript allowed per label'));
+      recovered = true;
+      current++;
+    } else if (is_super) {
+      superscript = String(tokens[current++].value);
+    } else {
+      subscript = String(tokens[current++].value);
     }
-  ];
+  }
+  return [current, subscript, superscript, recovered];
+}
+
+// Optional `gloss` blocks, one per gloss tier of a word. They may follow
+// the label or come last, after the arrows. Returns [current, glosses] with
+// the gloss tokens added to the ones found so far.
+function parseGlosses(tokens, current, glosses) {
+  glosses = glosses.slice();
+  while (current < tokens.length && tokens[current].type === Tokenizer.TokenType.GLOSS)
+    glosses.push(tokens[current++]);
+  return [current, glosses];
+}
+
+// Parse an optional style block: |bold box color=green|. Items are separated
+// by spaces or semicolons; colors are written key=value or key:value.
+// Unknown items are reported and left out. Returns [current, style, recovered].
+function parseStyle(tokens, current, diagnostics) {
+  if (current >= tokens.length || tokens[current].type !== Tokenizer.TokenType.STYLE)
+    return [current, null, false];
+  const style_token = tokens[current];
+  const style = {};
+  let recovered = false;
+  for (const [item, key, value] of Tokenizer.splitStyle(style_token.value)) {
+    if (value == null && Tokenizer.STYLE_FLAGS.includes(key)) {
+      style[key] = true;
+    } else if (value && Tokenizer.STYLE_COLORS.includes(key)) {
+      style[key] = value;
+    } else {
+      report(diagnostics, Tokenizer.ParseError.at(style_token, 'Unknown style "' + item + '"'));
+      recovered = true;
+    }
+  }
+  return [current + 1, Object.keys(style).length > 0 ? style : null, recovered];
 }
 
-function parseToken(tokens, current) {
+function parseToken(tokens, current, diagnostics, top = false) {
   switch (tokens[current].type) {
     case Tokenizer.TokenType.BRACKET_OPEN:
-      return parseNode(tokens, current);
+      return parseNode(tokens, current, diagnostics, top);
     case Tokenizer.TokenType.STRING:
     case Tokenizer.TokenType.QUOTED_STRING:
-      return parseValue(tokens, current);
+    case Tokenizer.TokenType.EMPTY:
+      return parseValue(tokens, current, diagnostics);
+    case Tokenizer.TokenType.GLOSS:
+      report(diagnostics, Tokenizer.ParseError.at(tokens[current],
+          'A `gloss` goes right after its word, a `translation` right after the top label'));
+      return [current + 1, null];
     default:
-      throw 'Unexpected ' + tokens[current].type + ' at idx ' + current;
+      // Skip the token when recovering
+      report(diagnostics, Tokenizer.ParseError.at(tokens[current],
+                                                  'Unexpected ' + tokens[current].type));
+      return [current + 1, null];
   }
 }
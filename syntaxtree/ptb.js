@@ -0,0 +1,218 @@
+// Import and export of Penn Treebank style trees: parenthesized s-expressions
+// such as (S (NP-SBJ (DT the) (NN dog)) (VP (VBD barked))), one or more per
+// file, pretty-printed over several lines or not. Imports give a parse tree
+// like the one Parser.parse returns, so it can be drawn directly or
+// serialized to bracket notation.
+
+'use strict';
+
+import * as Parser from './parser.js';
+import * as Traces from './traces.js';
+import { ParseError } from './tokenizer.js';
+
+// Options: stripFunctionTags - NP-SBJ-1 becomes NP-1 (default false)
+//          stripIndices      - NP-SBJ-1 becomes NP-SBJ, the index is kept as
+//                              subscript so traces can still be co-indexed
+//                              (default false)
+const DEFAULT_OPTIONS = {
+  stripFunctionTags: false,
+  stripIndices: false
+};
+
+// Leaf escapes used in the treebank
+const ESCAPES = {
+  '-LRB-': '(', '-RRB-': ')', '-LSB-': '[', '-RSB-': ']', '-LCB-': '{', '-RCB-': '}'
+};
+
+// Parse PTB text into a ROOT holding every tree in it. (-NONE- x) elements
+// become empty categories (~x); a trace index as in *T*-1 links the trace
+// to the constituent with index 1. The null element 0 becomes ∅. An outer
+// pair of parentheses without a label, as in ( (S ...) ), is dropped.
+export function parsePtb(text, options = {}) {
+  const opts = {...DEFAULT_OPTIONS, ...options};
+  const tokens = tokenize(text);
+  const root = {type: Parser.NodeType.ROOT, label: '__ROOT__', values: []};
+  let current = 0;
+  while (current < tokens.length) {
+    let node = null;
+    [current, node] = parseExpression(text, tokens, current, opts);
+    if (node.type !== Parser.NodeType.NODE)
+      throw ParseError.atOffset(text, tokens[current - 1].start, tokens[current - 1].end,
+                                'Expected ( before ' + node.label);
+    root.values.push(node);
+  }
+  if (root.values.length === 0) throw 'No tree found';
+  return root;
+}
+
+// Source text of each tree in a PTB file, for rendering them one by one
+export function splitPtb(text) {
+  const trees = [];
+  let depth = 0;
+  let start = 0;
+  for (const token of tokenize(text)) {
+    if (token.value === '(' && depth++ === 0) start = token.start;
+    if (token.value === ')' && --depth === 0) trees.push(text.substring(start, token.end));
+    if (depth < 0) throw ParseError.atOffset(text, token.start, token.end, 'Unexpected )');
+  }
+  return trees;
+}
+
+// Whether text looks like a PTB tree rather than bracket notation
+export function isPtb(text) {
+  return /^\s*\(/.test(text);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[()]|[^\s()]+/g;
+  let match = null;
+  while ((match = pattern.exec(text)) != null)
+    tokens.push({value: match[0], start: match.index, end: match.index + match[0].length});
+  return tokens;
+}
+
+// Parse an expression: an atom, or ( label children... ). Returns
+// [current, node].
+function parseExpression(text, tokens, current, opts) {
+  const token = tokens[current];
+  if (token.value === ')') throw ParseError.atOffset(text, token.start, token.end, 'Unexpected )');
+  if (token.value !== '(') return [current + 1, makeValue(ESCAPES[token.value] || token.value)];
+
+  let label = null;
+  let next = current + 1;
+  if (next < tokens.length && tokens[next].value !== '(' && tokens[next].value !== ')')
+    label = tokens[next++].value;
+  const children = [];
+  while (next < tokens.length && tokens[next].value !== ')') {
+    let child = null;
+    [next, child] = parseExpression(text, tokens, next, opts);
+    children.push(child);
+  }
+  if (next >= tokens.length)
+    throw ParseError.atOffset(text, token.start, token.end, 'Missing closing ) for this (');
+  next++; // )
+
+  // ( (S ...) ): the unlabelled wrapper around a tree
+  if (label == null && children.length === 1 && children[0].type === Parser.NodeType.NODE)
+    return [next, children[0]];
+  if (label === '-NONE-') return [next, makeEmpty(children)];
+
+  const node = {
+    type: Parser.NodeType.NODE,
+    label: null,
+    subscript: null,
+    superscript: null,
+    values: children,
+    features: [],
+    caseFeature: null
+  };
+  [node.label, node.subscript] = splitLabel(label || 'ROOT', opts);
+  return [next, node];
+}
+
+// Label and subscript of a node. Labels wrapped in dashes (-NONE-, -LRB-)
+// are kept as they are.
+function splitLabel(label, opts) {
+  const match = /^([^-=]+)(.*?)((?:[-=]\d+)*)$/.exec(label);
+  if (!match || /^-.*-$/.test(label)) return [label, null];
+  const [, category, tags, indices] = match;
+  const index = indices ? /\d+$/.exec(indices)[0] : null;
+  if (opts.stripIndices)
+    return [category + (opts.stripFunctionTags ? '' : tags), index];
+  return [category + (opts.stripFunctionTags ? '' : tags) + indices, null];
+}
+
+// Empty category for (-NONE- *T*-1): a trace *T* linked to index 1
+function makeEmpty(children) {
+  const text = children.map(child => child.label).join(' ');
+  const match = /^(.*?)-(\d+)$/.exec(text);
+  const label = match ? match[1] : text;
+  const value = makeValue(label === '0' || label === '' ? Parser.EMPTY_LABEL : label);
+  value.empty = true;
+  if (match) value.link = match[2];
+  return value;
+}
+
+function makeValue(label) {
+  return {
+    type: Parser.NodeType.VALUE,
+    label: label,
+    subscript: null,
+    superscript: null,
+    caseFeature: null
+  };
+}
+
+// PTB text for a parse tree, one tree per paragraph. Phrases that fit on a
+// line are written on one line, others put each child on its own indented
+// line. Empty elements become (-NONE- x); a trace and its antecedent share
+// a numeric index, the antecedent's subscript if it is a number (NP_1 is
+// written NP-1). Brackets in words are escaped as -LRB- and so on.
+// Features, styles and arrows have no PTB form and are left out.
+export function toPtb(syntax_tree) {
+  const indices = ptbIndices(syntax_tree);
+  return syntax_tree.values.map(node => formatExpression(node, '', indices)).join('\n\n') + '\n';
+}
+
+const MAX_LINE = 72;
+
+// Map from node to its PTB index, for traces and their antecedents. Numbers
+// already used as subscripts or links are not handed out again.
+function ptbIndices(syntax_tree) {
+  const used = new Set();
+  const visit = (node) => {
+    [node.subscript, node.link].filter(s => /^\d+$/.test(s)).forEach(s => used.add(s));
+    if (node.type !== Parser.NodeType.VALUE) node.values.forEach(visit);
+  };
+  visit(syntax_tree);
+  let next = 1;
+  const nextIndex = () => {
+    while (used.has(String(next))) ++next;
+    return String(next++);
+  };
+
+  const indices = new Map();
+  const {antecedents} = Traces.coindex(syntax_tree);
+  antecedents.forEach((antecedent, trace) => {
+    let index = indices.get(antecedent);
+    if (!index) index = /^\d+$/.test(antecedent.subscript) ? antecedent.subscript : nextIndex();
+    indices.set(antecedent, index);
+    indices.set(trace, index);
+  });
+  return indices;
+}
+
+function formatExpression(node, indent, indices) {
+  const flat = formatFlat(node, indices);
+  if (node.type === Parser.NodeType.VALUE || indent.length + flat.length <= MAX_LINE ||
+      !node.values.some(child => child.type === Parser.NodeType.NODE))
+    return flat;
+  return '(' + formatLabel(node, indices) + node.values.map(child =>
+      '\n' + indent + '  ' + formatExpression(child, indent + '  ', indices)).join('') + ')';
+}
+
+function formatFlat(node, indices) {
+  if (node.type === Parser.NodeType.VALUE) return formatValue(node, indices);
+  return '(' + [formatLabel(node, indices), ...node.values.map(child => formatFlat(child, indices))]
+      .join(' ') + ')';
+}
+
+function formatLabel(node, indices) {
+  const index = indices.get(node) || (/^\d+$/.test(node.subscript) ? node.subscript : null);
+  return escapeAtom(node.label || 'X') + (index ? '-' + index : '');
+}
+
+function formatValue(value, indices) {
+  if (!value.empty) return String(value.label).trim().split(/\s+/).map(escapeAtom).join(' ');
+  const label = value.label === Parser.EMPTY_LABEL ? '0' : escapeAtom(value.label);
+  const index = indices.get(value) || (/^\d+$/.test(value.link) ? value.link : null);
+  return '(-NONE- ' + label + (index ? '-' + index : '') + ')';
+}
+
+// Words with brackets escaped; whitespace cannot appear in an atom
+function escapeAtom(text) {
+  const escaped = Object.entries(ESCAPES).find(([, ch]) => ch === text);
+  if (escaped) return escaped[0];
+  return String(text).replace(/\s+/g, '_').replace(/\(/g, '-LRB-').replace(/\)/g, '-RRB-');
+}
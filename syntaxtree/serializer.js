@@ -0,0 +1,114 @@
+// Turns a parsed syntax tree back into labelled bracket notation.
+// This is the inverse of Parser.parse: serializing a parse tree and parsing
+// the result again gives the same tree.
+
+'use strict';
+
+import * as Parser from './parser.js';
+import { quote, quoteIfNeeded, quoteGloss } from './tokenizer.js';
+import { serializeAvm } from './avm.js';
+
+// Serialize a parsed tree (ROOT, NODE or VALUE) to canonical bracket notation
+export function serialize(node) {
+  switch (node.type) {
+    case Parser.NodeType.ROOT:
+      return node.values.map(child => serialize(child)).join(' ');
+    case Parser.NodeType.NODE:
+      return serializeNode(node);
+    default:
+      return serializeValue(node, false);
+  }
+}
+
+function serializeNode(node) {
+  const items = (node.features || []).map(feature => ({feature: feature}))
+      .concat(node.values.map(child => ({child: child})));
+  const isValue = (item) => item != null && (item.feature != null ||
+                                             item.child.type !== Parser.NodeType.NODE);
+
+  let text = '[' + serializeLabel(node) + serializeScripts(node) + serializeStyle(node) +
+             serializeArrows(node, isValue(items[0]));
+  if (node.translation) text += ' ' + quoteGloss(node.translation);
+
+  // Features and leaves are both written as plain words. Two of them in a row
+  // would be read back as one multi-word value, so the second one is quoted.
+  items.forEach((item, i) => {
+    const after_value = isValue(items[i - 1]);
+    if (item.feature != null)
+      text += ' ' + (after_value ? quote(item.feature) : quoteIfNeeded(item.feature, true));
+    else if (item.child.type === Parser.NodeType.NODE)
+      text += ' ' + serializeNode(item.child);
+    else
+      text += ' ' + serializeValue(item.child, after_value, isValue(items[i + 1]));
+  });
+  return text + ']';
+}
+
+function serializeValue(value, force_quotes = false, before_value = false) {
+  // A leaf that is nothing but a {case} feature
+  if (value.caseFeature && value.caseFeature === value.label) return value.label;
+
+  let text = null;
+  if (value.empty) text = serializeLabel(value);
+  else text = force_quotes ? quote(value.label) : quoteIfNeeded(value.label, true);
+  text += serializeScripts(value) + serializeStyle(value) +
+          serializeArrows(value, before_value || value.caseFeature != null);
+  // Glosses before the case feature, which is read as a word of its own
+  (value.glosses || []).forEach(gloss => { text += ' ' + quoteGloss(gloss); });
+  if (value.caseFeature) text += ' ' + value.caseFeature;
+  return text;
+}
+
+// Node label, written as ~label:link for traces and empty categories. An
+// empty label that is not a plain word cannot follow the ~ and is written
+// as an ordinary label instead.
+function serializeLabel(node) {
+  if (!node.empty) return quoteIfNeeded(node.label);
+  const label = node.label === Parser.EMPTY_LABEL ? '' : node.label;
+  const link = node.link ? ':' + node.link : '';
+  if (!/^[^\s\[\]^_"@|`:~]*$/.test(label) || !/^[^\s\[\]^_"@|`]*$/.test(link))
+    return quoteIfNeeded(node.label);
+  return '~' + label + link;
+}
+
+function serializeScripts(node) {
+  let text = '';
+  if (node.subscript) text += '_' + quoteIfNeeded(node.subscript);
+  if (node.superscript) text += '^' + quoteIfNeeded(node.superscript);
+  return text;
+}
+
+// Style block: |bold box color=green|
+function serializeStyle(node) {
+  if (!node.style) return '';
+  const items = Object.entries(node.style)
+      .filter(([key, value]) => value)
+      .map(([key, value]) => value === true ? key : key + '=' + value);
+  return items.length > 0 ? '|' + items.join(' ') + '|' : '';
+}
+
+// Identifier, feature structure and arrows. A word right after an arrow
+// would be read as the arrow's label, so if one follows, the last arrow gets
+// an empty label. Only names that read back are written; the parser and the
+// JSON import reject the others.
+function serializeArrows(node, before_value) {
+  let text = node.id && Parser.NODE_NAME.test(node.id) ? '@' + node.id : '';
+  if (node.avm) text += '&' + serializeAvm(node.avm);
+  if (!node.arrows || node.arrows.length === 0) return text;
+  const arrows = node.arrows.map(serializeArrow);
+  const last = node.arrows[node.arrows.length - 1];
+  if (before_value && !last.label) arrows[arrows.length - 1] += ' ""';
+  return text + ' ' + arrows.join(', ');
+}
+
+function serializeArrow(arrow) {
+  let text = null;
+  if (arrow.dotted) text = '.>';
+  else if (arrow.ends.to && arrow.ends.from) text = '<>';
+  else if (arrow.ends.from) text = '<-';
+  else text = '->';
+  text += typeof arrow.target === 'string' ? '@' + arrow.target : arrow.target;
+  // Always quoted, so a following comma is not read as part of the label
+  if (arrow.label) text += ' ' + quote(arrow.label);
+  return text;
+}
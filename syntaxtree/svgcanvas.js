@@ -0,0 +1,174 @@
+'use strict';
+
+import { displayText } from './unicode.js';
+
+// SvgCanvas offers the same drawing API as Canvas, but records the calls as
+// SVG elements so the tree can be exported as a vector image.
+// Text measurement is delegated to a measure function
+// (text, font, fontsize, fontstyle) => width, since SVG has no way to measure text
+// before it is rendered.
+export default class SvgCanvas {
+  constructor(measure) {
+    this.measure = measure;
+    this.font = 'sans-serif';
+    this.fontsize = 16;
+    this.fontstyle = '';
+    this.markup = false;
+    this.width = 0;
+    this.height = 0;
+    this.resize(0, 0);
+  }
+
+  resize(w, h) {
+    this.width = w;
+    this.height = h;
+    this.clear();
+  }
+
+  textWidth(t) {
+    return this.measure(displayText(t), this.font, this.fontsize, this.fontstyle);
+  }
+
+  // Resets the recorded elements and drawing state, like a canvas resize does
+  clear() {
+    this.elements = [];
+    this.offset_x = 0;
+    this.offset_y = 0;
+    this.fillStyle = 'black';
+    this.strokeStyle = 'black';
+    this.lineWidth = 1;
+    this.lineDash = [];
+  }
+
+  translate(x, y) {
+    this.offset_x += x;
+    this.offset_y += y;
+  }
+
+  text(t, x, y) {
+    this.elements.push(
+        '<text x="' + this.x(x) + '" y="' + this.y(y) + '"' +
+        ' font-family="' + escapeXml(this.font) + '"' +
+        ' font-size="' + num(this.fontsize) + '"' +
+        (/bold/.test(this.fontstyle) ? ' font-weight="bold"' : '') +
+        (/italic/.test(this.fontstyle) ? ' font-style="italic"' : '') +
+        ' fill="' + escapeXml(this.fillStyle) + '"' +
+        ' text-anchor="middle" dominant-baseline="hanging">' +
+        escapeXml(displayText(t)) + '</text>');
+  }
+
+  setFont(f) {
+    this.font = f;
+  }
+
+  setFontSize(s) {
+    this.fontsize = s;
+  }
+
+  setFontStyle(s) {
+    this.fontstyle = s;
+  }
+
+  setMarkup(m) {
+    this.markup = m;
+  }
+
+  setFillStyle(s) {
+    this.fillStyle = s;
+  }
+
+  setStrokeStyle(s) {
+    this.strokeStyle = s;
+  }
+
+  setLineWidth(w) {
+    this.lineWidth = w;
+  }
+
+  setLineDash(d) {
+    this.lineDash = d;
+  }
+
+  line(x1, y1, x2, y2) {
+    this.elements.push(
+        '<line x1="' + this.x(x1) + '" y1="' + this.y(y1) +
+        '" x2="' + this.x(x2) + '" y2="' + this.y(y2) + '"' +
+        this.strokeAttributes() + ' />');
+  }
+
+  triangle(x1, y1, x2, y2, x3, y3, fill = false) {
+    const d = 'M' + this.x(x1) + ' ' + this.y(y1) +
+              ' L' + this.x(x2) + ' ' + this.y(y2) +
+              ' L' + this.x(x3) + ' ' + this.y(y3) + ' Z';
+    this.elements.push(
+        '<path d="' + d + '"' +
+        ' fill="' + (fill ? escapeXml(this.fillStyle) : 'none') + '"' +
+        this.strokeAttributes() + ' />');
+  }
+
+  rect(x, y, w, h, fill = false) {
+    this.elements.push(
+        '<rect x="' + this.x(x) + '" y="' + this.y(y) +
+        '" width="' + num(w) + '" height="' + num(h) + '"' +
+        ' fill="' + (fill ? escapeXml(this.fillStyle) : 'none') + '"' +
+        this.strokeAttributes() + ' />');
+  }
+
+  curve(x1, y1, x2, y2, cx1, cy1, cx2, cy2) {
+    const d = 'M' + this.x(x1) + ' ' + this.y(y1) +
+              ' C' + this.x(cx1) + ' ' + this.y(cy1) +
+              ' ' + this.x(cx2) + ' ' + this.y(cy2) +
+              ' ' + this.x(x2) + ' ' + this.y(y2);
+    this.elements.push(
+        '<path d="' + d + '" fill="none"' + this.strokeAttributes() + ' />');
+  }
+
+  // Returns the complete SVG document for everything drawn since the last resize
+  toString() {
+    return '<svg xmlns="http://www.w3.org/2000/svg"' +
+           ' width="' + num(this.width) + '" height="' + num(this.height) + '"' +
+           ' viewBox="0 0 ' + num(this.width) + ' ' + num(this.height) + '">\n' +
+           this.elements.join('\n') + '\n</svg>\n';
+  }
+
+  download(fn) {
+    const blob = new Blob([this.toString()], {type: 'image/svg+xml'});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', fn);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  strokeAttributes() {
+    let attributes = ' stroke="' + escapeXml(this.strokeStyle) + '"' +
+                     ' stroke-width="' + num(this.lineWidth) + '"';
+    if (this.lineDash.length > 0)
+      attributes += ' stroke-dasharray="' + this.lineDash.map(num).join(' ') + '"';
+    return attributes;
+  }
+
+  x(x) {
+    return num(x + this.offset_x);
+  }
+
+  y(y) {
+    return num(y + this.offset_y);
+  }
+}
+
+// Helper: format a coordinate without trailing float noise
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+// Helper: escape text for use in XML content and attribute values
+function escapeXml(s) {
+  return String(s)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+}
@@ -4,17 +4,38 @@
 'use strict';
 
 const VERSION = 'v1.2';
+const WORKSPACE_KEY = 'syntaxtree-workspace'; // localStorage key of the autosave
 
 // Import main tree drawing logic and helpers
 import Tree from './tree.js';
 import rotateTip from './tip.js';
 import * as Parser from './parser.js';
 import * as Tokenizer from './tokenizer.js';
+import * as Latex from './latex.js';
+import * as Dependency from './dependency.js';
+import * as Ptb from './ptb.js';
+import * as Json from './json.js';
+import * as Edit from './edit.js';
+import History from './history.js';
+import * as Library from './library.js';
+import { encodeState, decodeState } from './urlstate.js';
+import { serialize } from './serializer.js';
+import { usesMacros } from './macros.js';
 import { htmlColorNames } from './htmlColors.js';
+import { THEMES, getTheme } from './themes.js';
 
 // Create a new Tree instance (handles drawing and state)
 const tree = new Tree();
 
+// Node being dragged on the canvas: {drawable, x, y, moved}
+let drag = null;
+// Set after a drag, so the click that ends it does not select
+let suppress_click = false;
+
+// Undo/redo history of phrase and options, recorded shortly after changes
+const history = new History();
+let history_timer = null;
+
 // On window load, initialize the app
 window.onload = () => {
   registerServiceWorker(); // Register service worker for offline support
@@ -59,6 +80,20 @@ window.onload = () => {
     update();
   };
 
+  // Theme presets; 'auto' follows the system color scheme
+  for (const [id, theme] of Object.entries(THEMES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = theme.name;
+    e('theme').appendChild(option);
+  }
+  applyTheme();
+  window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+    if (e('theme').value !== 'auto') return;
+    applyTheme();
+    update();
+  });
+
   // Reset cache button logic
   const resetBtn = document.getElementById('reset-cache');
   if (resetBtn) {
@@ -68,8 +103,15 @@ window.onload = () => {
         const keys = await caches.keys();
         await Promise.all(keys.map(key => caches.delete(key)));
       }
-      // Clear all localStorage and sessionStorage
-      if ('localStorage' in window) localStorage.clear();
+      // Clear all localStorage and sessionStorage, but keep the saved
+      // workspace unless the user wants to start over
+      if ('localStorage' in window) {
+        const workspace = localStorage.getItem(WORKSPACE_KEY);
+        localStorage.clear();
+        if (workspace != null &&
+            !window.confirm('Also delete your saved phrase and settings?'))
+          localStorage.setItem(WORKSPACE_KEY, workspace);
+      }
       if ('sessionStorage' in window) sessionStorage.clear();
       // Unregister all service workers
       if ('serviceWorker' in navigator) {
@@ -81,10 +123,13 @@ window.onload = () => {
     };
   }
 
-  // If a phrase is provided in the URL, use it
-  const query = decodeURI(window.location.search).replace('?', '');
-  if (query != null && query.length > 2) e('code').value = query;
+  // Restore the saved workspace. A phrase and options provided in the URL win.
+  const saved = loadWorkspace();
+  if (saved != null) setState(saved);
+  const shared = decodeState(window.location.search);
+  if (shared != null) setState(shared);
 
+  history.push(getState());
   update(); // Draw initial tree
 
   rotateTip(); // Show a tip
@@ -110,7 +155,12 @@ function registerServiceWorker() {
 
 // Register all UI event handlers for controls
 function registerCallbacks() {
-  e('code').oninput = update; // Redraw tree on input
+  e('code').oninput = () => {
+    tree.setSelection(null); // Source offsets are stale after an edit
+    update();                // Redraw tree on input
+  };
+  e('code').onkeydown = deleteSelectedNode;
+  e('code').onscroll = () => { e('code-highlight').scrollTop = e('code').scrollTop; };
 
   e('font').onchange = () => {
     tree.setFont(e('font').value);
@@ -142,48 +192,631 @@ function registerCallbacks() {
     update();
   };
 
+  e('mode').onchange = () => {
+    tree.setSelection(null);
+    update();
+  };
+
+  e('layout').onchange = () => {
+    tree.setLayout(e('layout').value);
+    update();
+  };
+
+  e('theme').onchange = () => {
+    applyTheme();
+    update();
+  };
+
+  e('background').onchange = () => {
+    tree.setBackground(e('background').checked);
+    update();
+  };
+
+  e('empty').onchange = () => {
+    tree.setEmptyStyle(e('empty').value);
+    update();
+  };
+
+  e('coindex').onchange = () => {
+    tree.setCoindex(e('coindex').checked);
+    update();
+  };
+
+  e('tracearrows').onchange = () => {
+    tree.setTraceArrows(e('tracearrows').checked);
+    update();
+  };
+
+  e('markup').onchange = () => {
+    tree.setMarkup(e('markup').checked);
+    update();
+  };
+
   e('spacing').oninput = () => {
     tree.setSpacing(parseFloat(e('spacing').value / 100));
     update();
   };
 
-  e('canvas').onclick = () => tree.download(); // Download image on click
+  e('canvas').onclick = selectNodeAt;    // Select node on click
+  e('canvas').ondblclick = editNodeAt;   // Relabel node on double-click
+  e('canvas').onmousedown = startDrag;   // Drag nodes to move them
+  e('canvas').onmousemove = moveDrag;
+  e('canvas').onmouseup = endDrag;
+  e('canvas').onmouseleave = () => { drag = null; e('canvas').style.cursor = ''; };
+  e('download-png').onclick = () => tree.download(); // Download image
+  e('download-svg').onclick = downloadSvg; // Download vector image
+  e('copy-latex').onclick = copyLatex; // Copy forest/qtree source
+  e('copy-link').onclick = copyLink;   // Copy shareable URL
+  e('to-dependencies').onclick = convertToDependencies;
+  e('import-ptb').onclick = () => {
+    if (Ptb.isPtb(e('code').value)) importPtb(e('code').value, true);
+    else e('ptb-file').click();
+  };
+  e('ptb-file').onchange = async () => {
+    const file = e('ptb-file').files[0];
+    e('ptb-file').value = '';
+    if (file) importPtb(await file.text(), false);
+  };
+  e('download-export').onclick = downloadExport;
+  e('import-json').onclick = () => e('json-file').click();
+  e('json-file').onchange = async () => {
+    const file = e('json-file').files[0];
+    e('json-file').value = '';
+    if (file) importJson(await file.text());
+  };
+
+  document.addEventListener('keydown', undoRedo); // Ctrl+Z, Ctrl+Shift+Z
+
+  registerLibraryCallbacks();
+}
+
+// Register the handlers of the tree library sidebar
+function registerLibraryCallbacks() {
+  e('library-toggle').onclick = () => {
+    e('library').hidden = !e('library').hidden;
+    if (!e('library').hidden) libraryAction(() => null);
+  };
+  e('library-save').onclick = () => {
+    const name = window.prompt('Save the current tree as:', '');
+    if (name != null && name.trim() !== '')
+      libraryAction(() => Library.saveTree(name.trim(), getState()));
+  };
+  e('library-search').oninput = () => libraryAction(() => null);
+  e('library-export').onclick = () => libraryAction(downloadLibrary);
+  e('library-import').onclick = () => e('library-file').click();
+  e('library-file').onchange = () => {
+    const file = e('library-file').files[0];
+    e('library-file').value = '';
+    if (file) libraryAction(async () => {
+      let data = null;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (err) {
+        throw 'Not a SyntaxTree library file.';
+      }
+      const count = await Library.importLibrary(data);
+      e('parse-error').innerHTML = count + ' tree(s) imported.';
+    });
+  };
+}
+
+// Run a library operation, then refresh the list. Errors are shown below
+// the phrase.
+async function libraryAction(action_fn) {
+  try {
+    await action_fn();
+    const entries = await Library.listTrees(e('library-search').value);
+    e('library-list').replaceChildren(...entries.map(libraryItem));
+  } catch (err) {
+    showError(err, '');
+  }
+}
+
+// List item for a library entry: click the name to open it, or save the
+// current tree over it
+function libraryItem(entry) {
+  const item = document.createElement('li');
+  const name = document.createElement('a');
+  name.href = '#';
+  name.textContent = entry.name;
+  name.title = entry.state.phrase;
+  name.onclick = (event) => {
+    event.preventDefault();
+    setState(entry.state);
+    tree.setSelection(null);
+    update();
+  };
+  item.append(
+    name,
+    libraryButton('Save', () => {
+      if (window.confirm('Replace "' + entry.name + '" with the current tree?'))
+        libraryAction(() => Library.updateTree(entry.id, getState()));
+    }),
+    libraryButton('Rename', () => {
+      const new_name = window.prompt('Rename tree:', entry.name);
+      if (new_name != null && new_name.trim() !== '')
+        libraryAction(() => Library.renameTree(entry.id, new_name.trim()));
+    }),
+    libraryButton('Duplicate', () => libraryAction(() => Library.duplicateTree(entry.id))),
+    libraryButton('Delete', () => {
+      if (window.confirm('Delete "' + entry.name + '" from the library?'))
+        libraryAction(() => Library.deleteTree(entry.id));
+    })
+  );
+  return item;
+}
+
+function libraryButton(text, onclick) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.onclick = onclick;
+  return button;
+}
+
+// Download the whole library as a JSON file
+async function downloadLibrary() {
+  const data = await Library.exportLibrary();
+  downloadText(JSON.stringify(data, null, 2), 'syntaxtree_library.json', 'application/json');
+}
+
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], {type: type});
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Snapshot of the phrase and all render options as shown in the UI
+function getState() {
+  return {
+    phrase: e('code').value,
+    font: e('font').value,
+    fontsize: e('fontsize').value,
+    nodecolor: e('nodecolor').checked,
+    autosub: e('autosub').checked,
+    triangles: e('triangles').checked,
+    mode: e('mode').value,
+    align: e('align').value,
+    layout: e('layout').value,
+    spacing: e('spacing').value,
+    arrowcolor: e('arrowcolor').value,
+    theme: e('theme').value,
+    background: e('background').checked,
+    empty: e('empty').value,
+    coindex: e('coindex').checked,
+    tracearrows: e('tracearrows').checked,
+    markup: e('markup').checked
+  };
+}
+
+// Show a snapshot in the UI and apply its options to the tree.
+// Missing entries, and values a dropdown does not offer, are left as they are.
+function setState(state) {
+  if (state.phrase != null) e('code').value = state.phrase;
+  if (state.spacing != null) e('spacing').value = state.spacing;
+  for (const id of ['font', 'fontsize', 'mode', 'align', 'layout', 'arrowcolor', 'theme', 'empty'])
+    if (state[id] != null && Array.from(e(id).options).some(o => o.value === state[id]))
+      e(id).value = state[id];
+  for (const id of ['nodecolor', 'autosub', 'triangles', 'background', 'coindex', 'tracearrows',
+                    'markup'])
+    if (state[id] != null) e(id).checked = state[id];
+
+  tree.setFont(e('font').value);
+  tree.setFontsize(e('fontsize').value);
+  tree.setColor(e('nodecolor').checked);
+  tree.setSubscript(e('autosub').checked);
+  tree.setTriangles(e('triangles').checked);
+  tree.setAlignment(parseInt(e('align').value, 10));
+  tree.setLayout(e('layout').value);
+  tree.setSpacing(parseFloat(e('spacing').value / 100));
+  tree.setArrowColor(e('arrowcolor').value);
+  tree.setBackground(e('background').checked);
+  tree.setEmptyStyle(e('empty').value);
+  tree.setCoindex(e('coindex').checked);
+  tree.setTraceArrows(e('tracearrows').checked);
+  tree.setMarkup(e('markup').checked);
+  applyTheme();
+}
+
+// Apply the selected theme to the tree and the page
+function applyTheme() {
+  const prefers_dark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+  const theme = getTheme(e('theme').value, prefers_dark);
+  tree.setTheme(theme);
+  document.documentElement.dataset.theme = theme.ui;
+}
+
+// Record the current state in the history and autosave it, once the user
+// pauses, so typing a word is one undo step rather than one per key
+function rememberState() {
+  clearTimeout(history_timer);
+  history_timer = setTimeout(flushState, 500);
+}
+
+function flushState() {
+  clearTimeout(history_timer);
+  const state = getState();
+  history.push(state);
+  saveWorkspace(state);
+}
+
+// Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo
+function undoRedo(event) {
+  const key = event.key.toLowerCase();
+  if (!(event.ctrlKey || event.metaKey) || (key !== 'z' && key !== 'y')) return;
+  if (event.target === e('label-editor')) return;
+  event.preventDefault();
+  flushState();
+  const state = (key === 'y' || event.shiftKey) ? history.redo() : history.undo();
+  if (state == null) return;
+  setState(state);
+  tree.setSelection(null);
+  update();
+}
+
+// Read the autosaved workspace, or null if there is none
+function loadWorkspace() {
+  try {
+    const json = localStorage.getItem(WORKSPACE_KEY);
+    return json != null ? JSON.parse(json) : null;
+  } catch (err) {
+    console.warn('Unable to restore saved workspace.');
+    return null;
+  }
+}
+
+function saveWorkspace(state) {
+  try {
+    localStorage.setItem(WORKSPACE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.warn('Unable to save workspace.');
+  }
+}
+
+// Convert the position of a mouse event to canvas pixel coordinates
+function canvasPoint(event) {
+  const canvas = e('canvas');
+  const rect = canvas.getBoundingClientRect();
+  return [(event.clientX - rect.left) * canvas.width / rect.width,
+          (event.clientY - rect.top) * canvas.height / rect.height];
+}
+
+// Select the clicked node and select its source range in the textarea. The
+// nodes from a macro call all cover the call and are selected as one.
+function selectNodeAt(event) {
+  if (suppress_click) {
+    suppress_click = false;
+    return;
+  }
+  const drawable = tree.nodeAt(...canvasPoint(event));
+  tree.setSelection(drawable ? drawable.node.start : null);
+  tree.redraw();
+  if (drawable) {
+    e('code').focus();
+    e('code').setSelectionRange(drawable.node.start, drawable.node.end);
+  }
+}
+
+// Show an inline editor over the double-clicked label. Enter writes the new
+// label back into the phrase, Escape cancels.
+function editNodeAt(event) {
+  const drawable = tree.nodeAt(...canvasPoint(event));
+  if (!drawable || drawable.node.labelStart == null) return;
+  const node = drawable.node;
+  const canvas = e('canvas');
+  const canvas_rect = canvas.getBoundingClientRect();
+  const tree_rect = e('tree').getBoundingClientRect();
+  const scale = canvas_rect.width / canvas.width;
+  const box = tree.labelBox(drawable);
+
+  const editor = e('label-editor');
+  editor.value = node.label;
+  editor.style.left = (canvas_rect.left - tree_rect.left + box.x * scale) + 'px';
+  editor.style.top = (canvas_rect.top - tree_rect.top + box.y * scale) + 'px';
+  editor.style.minWidth = (box.width * scale) + 'px';
+  editor.hidden = false;
+  editor.focus();
+  editor.select();
+
+  const close = (commit) => {
+    editor.onblur = null;
+    editor.onkeydown = null;
+    editor.hidden = true;
+    if (commit && editor.value.length > 0 && editor.value !== node.label)
+      relabel(node, editor.value);
+  };
+  editor.onblur = () => close(true);
+  editor.onkeydown = (event) => {
+    if (event.key === 'Enter') close(true);
+    if (event.key === 'Escape') close(false);
+  };
+}
+
+// Replace the label of a node in the phrase and redraw
+function relabel(node, label) {
+  const phrase = e('code').value;
+  let text = Tokenizer.quoteIfNeeded(label, node.type === Parser.NodeType.VALUE);
+  // A {case} feature written inside the leaf label belongs to the old text
+  const original = phrase.substring(node.labelStart, node.labelEnd);
+  if (node.caseFeature && original.endsWith(node.caseFeature))
+    text += ' ' + node.caseFeature;
+  e('code').value = phrase.substring(0, node.labelStart) + text +
+                    phrase.substring(node.labelEnd);
+  tree.setSelection(null);
+  update();
+}
+
+// Start dragging the node under the mouse
+function startDrag(event) {
+  const [x, y] = canvasPoint(event);
+  const drawable = tree.nodeAt(x, y);
+  // Words of a dependency parse cannot be moved around
+  drag = drawable && tree.syntax_tree ? {drawable: drawable, x: x, y: y, moved: false} : null;
+}
+
+// A drag only starts once the mouse has moved a few pixels
+function moveDrag(event) {
+  if (!drag) return;
+  const [x, y] = canvasPoint(event);
+  if (Math.abs(x - drag.x) + Math.abs(y - drag.y) > 5) {
+    drag.moved = true;
+    e('canvas').style.cursor = 'grabbing';
+  }
+}
+
+// Drop the dragged node: onto a sibling to reorder it, onto any other
+// phrasal node to make it the last child of that node
+function endDrag(event) {
+  const source = drag;
+  drag = null;
+  e('canvas').style.cursor = '';
+  if (!source || !source.moved) return;
+  suppress_click = true;
+
+  const [x, y] = canvasPoint(event);
+  const target = tree.nodeAt(x, y);
+  if (!target || target === source.drawable) return;
+
+  if (!canRewritePhrase()) return;
+  const root = tree.syntax_tree;
+  const node = source.drawable.node;
+  let changed = false;
+  if (Edit.findParent(root, node) === Edit.findParent(root, target.node)) {
+    const box = tree.labelBox(target);
+    changed = Edit.moveBeside(root, node, target.node, x > box.x + box.width / 2);
+  } else {
+    changed = Edit.moveInto(root, node, target.node);
+  }
+  if (changed) rewritePhrase();
+}
+
+// Delete the selected subtree when its whole source range is selected in
+// the textarea (as it is right after clicking the node)
+function deleteSelectedNode(event) {
+  if (event.key !== 'Delete' || tree.selection == null || tree.syntax_tree == null) return;
+  const node = Edit.findNodeAt(tree.syntax_tree, tree.selection);
+  const code = e('code');
+  if (!node || code.selectionStart !== node.start || code.selectionEnd !== node.end) return;
+  event.preventDefault();
+  const dropped = [];
+  if (!canRewritePhrase() || !Edit.remove(tree.syntax_tree, node, dropped)) return;
+  rewritePhrase();
+  if (dropped.length > 0) {
+    e('parse-error').innerHTML = 'Also removed ' + dropped.length +
+        ' arrow(s) pointing into the deleted subtree.';
+  }
+}
+
+// Whether the phrase can be replaced with the notation of its tree. Macro
+// definitions and calls would be lost, so moving and deleting nodes is off
+// while the phrase has them.
+function canRewritePhrase() {
+  let macros = true;
+  try {
+    macros = usesMacros(e('code').value);
+  } catch (err) {
+    // The phrase no longer expands, leave it alone
+  }
+  if (macros) {
+    showError('Nodes cannot be moved or deleted in a phrase with macros, ' +
+              'as the macros would be expanded. Edit the phrase instead.', '');
+  }
+  return !macros;
+}
+
+// Replace the phrase with the canonical notation of the edited tree
+function rewritePhrase() {
+  e('code').value = serialize(tree.syntax_tree);
+  tree.setSelection(null);
+  update();
+}
+
+// Copy a link to the current phrase and options to the clipboard
+function copyLink() {
+  const url = window.location.origin + window.location.pathname + encodeState(getState());
+  navigator.clipboard.writeText(url).then(
+    () => { e('parse-error').innerHTML = 'Link copied to clipboard.'; },
+    () => { e('parse-error').innerHTML = 'Unable to access the clipboard.'; }
+  );
+}
+
+// Copy the current tree as LaTeX source to the clipboard
+function copyLatex() {
+  if (tree.syntax_tree == null) return;
+  const source = Latex.toLatex(tree.syntax_tree, e('latex-format').value,
+                               {triangles: tree.triangles, empty: tree.emptyStyle,
+                                coindex: tree.coindex, traceArrows: tree.traceArrows,
+                                markup: tree.canvas.markup});
+  navigator.clipboard.writeText(source).then(
+    () => { e('parse-error').innerHTML = 'LaTeX copied to clipboard.'; },
+    () => { e('parse-error').innerHTML = 'Unable to access the clipboard.'; }
+  );
+}
+
+// Replace the phrase with a Penn Treebank tree converted to bracket notation.
+// Of a file with several trees only the first is kept. Errors point into the
+// phrase box only if the tree came from there.
+function importPtb(text, from_code) {
+  const strip = e('ptb-strip').value;
+  try {
+    const syntax_tree = Ptb.parsePtb(text, {stripFunctionTags: strip !== 'none',
+                                            stripIndices: strip === 'all'});
+    const count = syntax_tree.values.length;
+    syntax_tree.values = syntax_tree.values.slice(0, 1);
+    e('code').value = serialize(syntax_tree);
+    e('mode').value = 'tree';
+    tree.setSelection(null);
+    update();
+    if (count > 1) e('parse-error').innerHTML = 'Imported the first of ' + count + ' trees.';
+  } catch (err) {
+    if (from_code) showError(err, text);
+    else showError(String(err), '');
+  }
+}
+
+// Download the current tree or sentence as SVG
+function downloadSvg() {
+  try {
+    tree.downloadSVG();
+  } catch (err) {
+    showError(String(err), '');
+  }
+}
+
+// Download the current tree as JSON, Penn Treebank or CoNLL-U text. In
+// dependency mode the sentence can only be exported as CoNLL-U.
+function downloadExport() {
+  const format = e('export-format').value;
+  try {
+    let text = null;
+    if (tree.sentence != null) {
+      if (format !== 'conllu') throw 'Dependencies can only be exported as CoNLL-U';
+      text = Dependency.formatConllu(tree.sentence);
+    } else if (tree.syntax_tree == null) {
+      throw 'Nothing to export yet.';
+    } else if (format === 'json') {
+      text = JSON.stringify(Json.toJson(tree.syntax_tree), null, 2) + '\n';
+    } else if (format === 'ptb') {
+      text = Ptb.toPtb(tree.syntax_tree);
+    } else {
+      text = Dependency.formatConllu(Dependency.toDependencies(tree.syntax_tree));
+    }
+    const types = {json: 'application/json', ptb: 'text/plain', conllu: 'text/plain'};
+    downloadText(text, 'syntax_tree.' + (format === 'ptb' ? 'mrg' : format), types[format]);
+  } catch (err) {
+    showError(String(err), '');
+  }
+}
+
+// Replace the phrase with a tree loaded from a JSON export, converted to
+// bracket notation
+function importJson(text) {
+  try {
+    e('code').value = serialize(Json.fromJson(JSON.parse(text)));
+    e('mode').value = 'tree';
+    tree.setSelection(null);
+    update();
+  } catch (err) {
+    showError(String(err), '');
+  }
+}
+
+// Replace the phrase with the dependencies of the current tree, in CoNLL-U,
+// and switch to dependency mode
+function convertToDependencies() {
+  if (tree.syntax_tree == null) return;
+  try {
+    const sentence = Dependency.toDependencies(tree.syntax_tree);
+    e('code').value = Dependency.formatConllu(sentence);
+    e('mode').value = 'dependency';
+    tree.setSelection(null);
+    update();
+  } catch (err) {
+    showError(err, e('code').value);
+  }
 }
 
 // Main update function: parses input and redraws the tree
 function update() {
   const phrase = e('code').value;
   e('parse-error').innerHTML = '';
+  e('parse-error').onclick = null;
+  highlightRange(null);
+  rememberState();
+
+  const dependency = e('mode').value === 'dependency';
+  e('input-title').textContent = dependency
+    ? 'Sentence (CoNLL-U, or ID FORM HEAD DEPREL per line)'
+    : 'Phrase (labelled bracket notation)';
+  if (dependency) {
+    try {
+      tree.drawDependencies(Dependency.parseDependencies(phrase));
+    } catch (err) {
+      showError(err, phrase);
+    }
+    return;
+  }
 
   try {
     const tokens = Tokenizer.tokenize(phrase); // Tokenize input
-    validateTokens(tokens);                   // Validate bracket structure
 
-    const syntax_tree = Parser.parse(tokens); // Parse tokens into tree
+    // Check and parse in recovering mode, so a half-typed phrase still draws
+    const diagnostics = [];
+    Parser.validate(tokens, diagnostics);
+    const syntax_tree = Parser.parse(tokens, diagnostics);
     tree.draw(syntax_tree);                   // Draw the tree
+    if (diagnostics.length > 0) showError(diagnostics[0], phrase);
   } catch (err) {
-    e('parse-error').innerHTML = err;         // Show error if parsing fails
-  }
-}
- 
-// Checks for basic bracket errors in the token list
-function validateTokens(tokens) {
-  if (tokens.length < 3) throw 'Phrase too short';
-  if (tokens[0].type != Tokenizer.TokenType.BRACKET_OPEN ||
-      tokens[tokens.length - 1].type != Tokenizer.TokenType.BRACKET_CLOSE)
-    throw 'Phrase must start with [ and end with ]';
-  const brackets = countOpenBrackets(tokens);
-  if (brackets > 0) throw brackets + ' bracket(s) open [';
-  if (brackets < 0) throw Math.abs(brackets) + ' too many closed bracket(s) ]';
-  return null;
-}
-
-// Counts the number of open brackets (should be zero if balanced)
-function countOpenBrackets(tokens) {
-  let o = 0;
-  for (const token of tokens) {
-    if (token.type == Tokenizer.TokenType.BRACKET_OPEN) ++o;
-    if (token.type == Tokenizer.TokenType.BRACKET_CLOSE) --o;
-  }
-  return o;
+    showError(err, phrase);                   // Show error if parsing fails
+  }
+}
+
+// Show an error message. Errors with a source position get an excerpt of
+// the offending line and their range is highlighted in the textarea right
+// away; clicking the message also selects it. The caret is left alone, so
+// typing goes on where it was.
+function showError(err, phrase) {
+  const error = e('parse-error');
+  if (!(err instanceof Tokenizer.ParseError) || err.start == null) {
+    error.innerHTML = escapeHtml(String(err));
+    highlightRange(null);
+    return;
+  }
+  error.innerHTML = escapeHtml(String(err)) +
+      '<pre class="excerpt">' + escapeHtml(err.excerpt(phrase)) + '</pre>';
+  if (phrase === e('code').value) highlightRange(err.start, err.end);
+  error.onclick = () => {
+    e('code').focus();
+    e('code').setSelectionRange(err.start, err.end);
+  };
+}
+
+// Mark the text from start to end in the copy of the phrase behind the
+// textarea, or remove the mark if start is null. An empty range marks the
+// character after it, or a space at the end.
+function highlightRange(start, end = start) {
+  const code = e('code');
+  const highlight = e('code-highlight');
+  if (start == null) {
+    highlight.innerHTML = '';
+    return;
+  }
+  const text = code.value;
+  if (end <= start) end = start + 1;
+  const marked = text.substring(start, end).replace(/\n$/, ' \n') || ' ';
+  highlight.innerHTML = escapeHtml(text.substring(0, start)) + '<mark>' +
+      escapeHtml(marked) + '</mark>' + escapeHtml(text.substring(end)) + '\n';
+  // Same line width as the text, whose box may have a scrollbar
+  const scrollbar = code.offsetWidth - code.clientWidth - 2;
+  highlight.style.paddingRight = (3 + Math.max(0, scrollbar)) + 'px';
+  highlight.scrollTop = code.scrollTop;
+}
+
+// Helper to escape text for use in innerHTML
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// Command-line tool for batch rendering syntax trees.
+// Reads one phrase per line from a file (or stdin) and writes one image per
+// phrase into an output directory. In dependency mode the input is CoNLL-U
+// with sentences separated by blank lines, in ptb mode Penn Treebank trees,
+// in json mode a JSON export. Text formats convert instead of rendering.
+
+'use strict';
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { renderSVG, renderPNG, exportPhrase, checkOptions, DEFAULT_OPTIONS } from './headless.js';
+import { THEMES } from './themes.js';
+import { EmptyStyle } from './traces.js';
+import { splitPtb } from './ptb.js';
+import { splitJson } from './json.js';
+
+const USAGE = `Usage: node syntaxtree_cli.js [options] <phrases-file|-> <output-dir>
+
+Each non-empty line of the phrases file is rendered to its own image.
+Lines starting with # are ignored, lines starting with def define macros
+for the lines after them. With --mode dependency, each block of
+CoNLL-U lines separated by a blank line is one sentence. With --mode ptb,
+each parenthesized tree is rendered, however it is split over lines.
+With --mode json, each tree of a JSON export is rendered.
+
+Options:
+  --format FORMAT         svg, png (needs "canvas"), or json, ptb, conllu text
+                          (default svg)
+  --font NAME             Font family (default ${DEFAULT_OPTIONS.font})
+  --fontsize N            Font size in px (default ${DEFAULT_OPTIONS.fontsize})
+  --no-color              Draw nodes in black
+  --no-autosub            Disable auto subscripts for duplicate labels
+  --no-triangles          Disable triangles over multi-word leaves
+  --align 0|1|2           Top, leaves or bottom aligned (default 0)
+  --layout compact|wide   Pack subtrees or sum child widths (default compact)
+  --mode MODE             tree, dependency (CoNLL-U), ptb or json input
+                          (default tree)
+  --strip-function-tags   PTB: drop function tags, NP-SBJ becomes NP
+  --strip-indices         PTB: turn indices into subscripts, NP-1 becomes NP_1
+  --spacing N             Vertical spacing in percent, 75 - 150 (default 100)
+  --arrowcolor COLOR      Arrow color when color is off (default ${DEFAULT_OPTIONS.arrowcolor})
+  --theme NAME            ${Object.keys(THEMES).join(', ')} (default ${DEFAULT_OPTIONS.theme})
+  --background            Fill the image with the theme background
+  --empty STYLE           Traces grey, strike or angle (default ${DEFAULT_OPTIONS.empty})
+  --no-coindex            Do not co-index traces and antecedents
+  --trace-arrows          Draw an arrow from each trace to its antecedent
+  --markup                Read *italic*, **bold**, %small caps% and --overline--
+                          in labels
+  --prefix NAME           Output file name prefix (default tree)
+  -h, --help              Show this help`;
+
+// Formats written as text by exportPhrase rather than rendered
+const TEXT_FORMATS = ['json', 'ptb', 'conllu'];
+
+async function main(argv) {
+  const {values, positionals} = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'format': {type: 'string', default: 'svg'},
+      'font': {type: 'string', default: DEFAULT_OPTIONS.font},
+      'fontsize': {type: 'string', default: String(DEFAULT_OPTIONS.fontsize)},
+      'no-color': {type: 'boolean', default: false},
+      'no-autosub': {type: 'boolean', default: false},
+      'no-triangles': {type: 'boolean', default: false},
+      'align': {type: 'string', default: String(DEFAULT_OPTIONS.align)},
+      'layout': {type: 'string', default: DEFAULT_OPTIONS.layout},
+      'mode': {type: 'string', default: DEFAULT_OPTIONS.mode},
+      'strip-function-tags': {type: 'boolean', default: false},
+      'strip-indices': {type: 'boolean', default: false},
+      'spacing': {type: 'string', default: String(DEFAULT_OPTIONS.spacing)},
+      'arrowcolor': {type: 'string', default: DEFAULT_OPTIONS.arrowcolor},
+      'theme': {type: 'string', default: DEFAULT_OPTIONS.theme},
+      'background': {type: 'boolean', default: false},
+      'empty': {type: 'string', default: DEFAULT_OPTIONS.empty},
+      'no-coindex': {type: 'boolean', default: false},
+      'trace-arrows': {type: 'boolean', default: false},
+      'markup': {type: 'boolean', default: false},
+      'prefix': {type: 'string', default: 'tree'},
+      'help': {type: 'boolean', short: 'h', default: false}
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 2) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (!['svg', 'png', ...TEXT_FORMATS].includes(values.format)) {
+    console.error('Unknown format ' + values.format);
+    return 2;
+  }
+  if (!(values.theme in THEMES)) {
+    console.error('Unknown theme ' + values.theme);
+    return 2;
+  }
+  if (!Object.values(EmptyStyle).includes(values.empty)) {
+    console.error('Unknown trace style ' + values.empty);
+    return 2;
+  }
+  if (!['tree', 'dependency', 'ptb', 'json'].includes(values.mode)) {
+    console.error('Unknown mode ' + values.mode);
+    return 2;
+  }
+  try {
+    checkOptions({fontsize: values.fontsize, align: values.align, spacing: values.spacing});
+  } catch (err) {
+    console.error(err + '\n\n' + USAGE);
+    return 2;
+  }
+
+  const [input, output_dir] = positionals;
+  const text = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+  let phrases = null;
+  if (values.mode === 'dependency') {
+    phrases = text.split(/\r?\n[ \t]*\r?\n/)
+        .filter(block => block.split(/\r?\n/).some(line => /^\s*[^\s#]/.test(line)));
+  } else if (values.mode === 'ptb') {
+    phrases = splitPtb(text);
+  } else if (values.mode === 'json') {
+    phrases = splitJson(text);
+  } else {
+    let definitions = '';
+    phrases = [];
+    text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && !line.startsWith('#'))
+        .forEach(line => {
+          if (/^def\s/.test(line)) definitions += line + '\n';
+          else phrases.push(definitions + line);
+        });
+  }
+
+  const options = {
+    font: values.font,
+    fontsize: Number(values.fontsize),
+    color: !values['no-color'],
+    autosub: !values['no-autosub'],
+    triangles: !values['no-triangles'],
+    align: Number(values.align),
+    layout: values.layout,
+    mode: values.mode,
+    stripfunctiontags: values['strip-function-tags'],
+    stripindices: values['strip-indices'],
+    spacing: Number(values.spacing),
+    arrowcolor: values.arrowcolor,
+    theme: values.theme,
+    background: values.background,
+    empty: values.empty,
+    coindex: !values['no-coindex'],
+    tracearrows: values['trace-arrows'],
+    markup: values.markup
+  };
+
+  fs.mkdirSync(output_dir, {recursive: true});
+  const digits = String(phrases.length).length;
+  let failures = 0;
+  for (const [i, phrase] of phrases.entries()) {
+    const name = values.prefix + '-' + String(i + 1).padStart(digits, '0') + '.' + values.format;
+    try {
+      let output = null;
+      if (TEXT_FORMATS.includes(values.format)) output = exportPhrase(phrase, values.format, options);
+      else if (values.format === 'png') output = await renderPNG(phrase, options);
+      else output = renderSVG(phrase, options);
+      fs.writeFileSync(path.join(output_dir, name), output);
+      console.info(name);
+    } catch (err) {
+      ++failures;
+      console.error(name + ': ' + err);
+    }
+  }
+  return failures > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(String(err));
+    process.exitCode = 2;
+  }
+);
@@ -1,7 +1,7 @@
 // Service Worker for SyntaxTree web app
 // Handles offline caching, resource prefetching, and cache management
 
-const CACHE_VERSION = 7; // Increment to force cache refresh
+const CACHE_VERSION = 38; // Increment to force cache refresh
 const CACHE_NAME = `syntaxtree-cache-v${CACHE_VERSION}`; // Unique cache name
 const CACHE_FILES = [
   '/syntaxtree/',                   // Root
@@ -9,12 +9,28 @@ const CACHE_FILES = [
   '/syntaxtree/default.css',        // Stylesheet
   '/syntaxtree/syntaxtree_icon.png',// App icon
   '/syntaxtree/syntaxtree.webmanifest', // PWA manifest
+  '/syntaxtree/avm.js',             // Feature structures
   '/syntaxtree/canvas.js',          // Canvas logic
+  '/syntaxtree/dependency.js',      // Dependency grammar mode
+  '/syntaxtree/edit.js',            // Tree editing
+  '/syntaxtree/history.js',         // Undo/redo history
+  '/syntaxtree/json.js',            // JSON export and import
+  '/syntaxtree/latex.js',           // LaTeX export
+  '/syntaxtree/library.js',         // Tree library storage
+  '/syntaxtree/macros.js',          // Macro definitions and calls
+  '/syntaxtree/markup.js',          // Inline label markup
   '/syntaxtree/parser.js',          // Parser logic
+  '/syntaxtree/ptb.js',             // Penn Treebank import and export
+  '/syntaxtree/serializer.js',      // Bracket notation output
+  '/syntaxtree/svgcanvas.js',       // SVG export backend
   '/syntaxtree/syntaxtree.js',      // Main app logic
+  '/syntaxtree/themes.js',          // Color themes
   '/syntaxtree/tip.js',             // Tips logic
   '/syntaxtree/tokenizer.js',       // Tokenizer logic
+  '/syntaxtree/traces.js',          // Traces and co-indexing
   '/syntaxtree/tree.js',            // Tree rendering logic
+  '/syntaxtree/unicode.js',         // Grapheme clusters and text display
+  '/syntaxtree/urlstate.js',        // Shareable URLs
 ];
  
 // Store a response in the cache for a given request
@@ -0,0 +1,78 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Dependency from '../dependency.js';
+import * as Tokenizer from '../tokenizer.js';
+import * as Parser from '../parser.js';
+
+describe('Dependency.parseDependencies', () => {
+  test('short and CoNLL-U lines', () => {
+    const sentence = Dependency.parseDependencies(
+        '# text = She left\n1 She PRON 2 nsubj\n2\tleft\tleave\tVERB\t_\t_\t0\troot\t_\t_');
+    assert.deepEqual(sentence.tokens.map(token => [token.form, token.upos, token.head]), [
+      ['She', 'PRON', 2], ['left', 'VERB', 0]
+    ]);
+  });
+
+  test('empty input is a parse error', () => {
+    assert.throws(() => Dependency.parseDependencies('# comment\n\n'),
+                  err => err instanceof Tokenizer.ParseError && err.message === 'No tokens');
+  });
+
+  test('heads must be other tokens', () => {
+    assert.throws(() => Dependency.parseDependencies('1 a 0 root\n2 b 2 x'),
+                  err => err instanceof Tokenizer.ParseError && err.start === 11 &&
+                         err.message === 'Head 2 is not another token');
+  });
+
+  test('the heads must form a tree', () => {
+    const cases = [
+      ['1 a 2 x\n2 b 1 y', 'Heads form a cycle: 1 -> 2 -> 1. Only the root has HEAD 0', 0],
+      ['1 a 0 root\n2 b 0 x', 'Token 1 is already the root. Only one token can have HEAD 0', 11],
+      ['1 a 0 root\n2 b 3 x\n3 c 2 y', 'Heads form a cycle: 2 -> 3 -> 2. Only the root has HEAD 0',
+       11]
+    ];
+    for (const [text, message, start] of cases) {
+      assert.throws(() => Dependency.parseDependencies(text),
+                    err => err instanceof Tokenizer.ParseError && err.message === message &&
+                           err.start === start);
+    }
+  });
+});
+
+describe('Dependency.toDependencies', () => {
+  test('the head child takes the other words as dependents', () => {
+    const phrase = '[S [NP [D the] [N dog]] [VP [V|head| saw] [NP it]]]';
+    const sentence = Dependency.toDependencies(Parser.parse(Tokenizer.tokenize(phrase)));
+    const columns = sentence.tokens.map(({form, upos, head, deprel}) => [form, upos, head, deprel]);
+    assert.deepEqual(columns, [
+      ['the', 'D', 2, 'D'], ['dog', 'N', 3, 'NP'], ['saw', 'V', 0, 'root'], ['it', 'NP', 3, 'NP']
+    ]);
+  });
+
+  test('CoNLL-U output reads back', () => {
+    const tree = Parser.parse(Tokenizer.tokenize('[S [NP she] [VP [V left]]]'));
+    const sentence = Dependency.toDependencies(tree);
+    assert.deepEqual(Dependency.parseDependencies(Dependency.formatConllu(sentence)).tokens
+                       .map(token => [token.form, token.head]),
+                     sentence.tokens.map(token => [token.form, token.head]));
+  });
+  test('a tree without words is a parse error', () => {
+    assert.throws(() => Dependency.toDependencies(Parser.parse(Tokenizer.tokenize('[S [NP]]'))),
+                  err => err instanceof Tokenizer.ParseError &&
+                         err.message === 'No words to convert');
+  });
+
+  test('several trees attach to the first root and read back', () => {
+    const phrase = '[S [NP she] [VP left]] [S [NP he] [VP stayed]]';
+    const tree = Parser.parse(Tokenizer.tokenize(phrase));
+    const sentence = Dependency.toDependencies(tree);
+    assert.deepEqual(sentence.tokens.map(({head, deprel}) => [head, deprel]), [
+      [2, 'NP'], [0, 'root'], [4, 'NP'], [2, 'parataxis']
+    ]);
+    assert.deepEqual(Dependency.parseDependencies(Dependency.formatConllu(sentence)).tokens
+                       .map(token => [token.form, token.head]),
+                     sentence.tokens.map(token => [token.form, token.head]));
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Tokenizer from '../tokenizer.js';
+import * as Parser from '../parser.js';
+import { serialize } from '../serializer.js';
+import * as Edit from '../edit.js';
+
+function parse(phrase) {
+  return Parser.parse(Tokenizer.tokenize(phrase));
+}
+
+// The node whose label is label, depth first
+function find(node, label) {
+  if (node.label === label) return node;
+  if (node.type === Parser.NodeType.VALUE) return null;
+  for (const child of node.values) {
+    const found = find(child, label);
+    if (found) return found;
+  }
+  return null;
+}
+
+describe('arrow targets follow their leaves', () => {
+  test('branch and feature arrows are renumbered when leaves move', () => {
+    const tree = parse('[S [A a] [T +PAST->3 [B b ->1]] [C c]]');
+    assert.ok(Edit.moveBeside(tree, find(tree, 'C'), find(tree, 'A'), false));
+    assert.equal(serialize(tree), '[S [C c] [A a] [T +PAST->1 [B b ->2]]]');
+  });
+
+  test('arrows into a deleted subtree are dropped and reported', () => {
+    const tree = parse('[S [A a] [T +PAST->3 [B b ->1]] [C c]]');
+    const dropped = [];
+    assert.ok(Edit.remove(tree, find(tree, 'A'), dropped));
+    assert.ok(Edit.remove(tree, find(tree, 'C'), dropped));
+    assert.equal(serialize(tree), '[S [T +PAST [B b]]]');
+    assert.deepEqual(dropped.map(item => typeof item === 'string' ? item : 'arrow'),
+                     ['arrow', '+PAST->2']);
+  });
+});
@@ -0,0 +1,125 @@
+// Fixture phrases with the trees Parser.parse should build for them. Trees
+// are given without source spans and without fields that are null or
+// empty, see simplify() in parser.test.js.
+
+'use strict';
+
+const value = (label, extra = {}) => ({type: 'VALUE', label: label, ...extra});
+const node = (label, values, extra = {}) =>
+  ({type: 'NODE', label: label, ...(values.length > 0 ? {values: values} : {}), ...extra});
+const arrow = (target, extra = {}) => ({
+  ends: {to: true, from: false}, target: target, label: null, dotted: false, ...extra
+});
+
+export const PARSE_FIXTURES = [
+  {
+    name: 'nested phrases and multi-word leaves',
+    phrase: '[S [NP the dog] [VP barked]]',
+    tree: [node('S', [node('NP', [value('the dog')]), node('VP', [value('barked')])])]
+  },
+  {
+    name: 'several trees side by side',
+    phrase: '[S [NP she] [VP sleeps]] [NP him]',
+    tree: [node('S', [node('NP', [value('she')]), node('VP', [value('sleeps')])]),
+           node('NP', [value('him')])]
+  },
+  {
+    name: 'quoted labels keep spaces',
+    phrase: '["Main clause" [S "a  b" c]]',
+    tree: [node('Main clause', [node('S', [value('a  b'), value('c')])])]
+  },
+  {
+    name: 'subscript and superscript',
+    phrase: '[N_s Dogs] [N^s Cats]',
+    tree: [node('N', [value('Dogs')], {subscript: 's'}),
+           node('N', [value('Cats')], {superscript: 's'})]
+  },
+  {
+    name: 'subscript and superscript together, in either order',
+    phrase: '[T_i^max will] [V^0_1 "see"]',
+    tree: [node('T', [value('will')], {subscript: 'i', superscript: 'max'}),
+           node('V', [value('see')], {subscript: '1', superscript: '0'})]
+  },
+  {
+    name: 'label markup is kept in the label',
+    phrase: '[--T--^0 *will* %past%]',
+    tree: [node('--T--', [value('*will* %past%')], {superscript: '0'})]
+  },
+  {
+    name: 'gloss tiers and a translation',
+    phrase: '[S `I saw it.` [V gör-dü-m `see-PST-1SG` `%pst%`] [N o ->1 `it`]]',
+    tree: [node('S', [node('V', [value('gör-dü-m', {glosses: ['see-PST-1SG', '%pst%']})]),
+                      node('N', [value('o', {arrows: [arrow(1)], glosses: ['it']})])],
+                {translation: 'I saw it.'})]
+  },
+  {
+    name: 'case feature attached to a word',
+    phrase: '[NP dogs{NOM}]',
+    tree: [node('NP', [value('dogs', {caseFeature: '{NOM}'})])]
+  },
+  {
+    name: 'case feature attached to a multi-word leaf',
+    phrase: '[NP the dogs{NOM}]',
+    tree: [node('NP', [value('the dogs', {caseFeature: '{NOM}'})])]
+  },
+  {
+    name: 'case feature after a space goes to the previous leaf',
+    phrase: '[NP the dogs {ACC}]',
+    tree: [node('NP', [value('the dogs', {caseFeature: '{ACC}'})])]
+  },
+  {
+    name: '+features are collected on the node',
+    phrase: '[VP +PAST [V left] +3SG]',
+    tree: [node('VP', [node('V', [value('left')])], {features: ['+PAST', '+3SG']})]
+  },
+  {
+    name: 'arrow to a leaf number',
+    phrase: '[A [B C] [D E] [F G ->1]]',
+    tree: [node('A', [node('B', [value('C')]), node('D', [value('E')]),
+                      node('F', [value('G', {arrows: [arrow(1)]})])])]
+  },
+  {
+    name: 'comma-separated arrow list with labels',
+    phrase: '[A [B C][D E ->1 "moves", <-2, <>@x]]',
+    tree: [node('A', [node('B', [value('C')]), node('D', [value('E', {arrows: [
+      arrow(1, {label: 'moves'}),
+      arrow(2, {ends: {to: false, from: true}}),
+      arrow('x', {ends: {to: true, from: true}})
+    ]})])])]
+  },
+  {
+    name: 'dotted arrow',
+    phrase: '[A B .>1]',
+    tree: [node('A', [value('B', {arrows: [arrow(1, {dotted: true})]})])]
+  },
+  {
+    name: 'named node as arrow target',
+    phrase: '[TP [DP@subj she] [VP [DP ->@subj] [V left]]]',
+    tree: [node('TP', [
+      node('DP', [value('she')], {id: 'subj'}),
+      node('VP', [node('DP', [], {arrows: [arrow('subj')]}), node('V', [value('left')])])
+    ])]
+  },
+  {
+    name: 'style block before the id',
+    phrase: '[DP|bold color=red|@subj she]',
+    tree: [node('DP', [value('she')], {style: {bold: true, color: 'red'}, id: 'subj'})]
+  },
+  {
+    name: 'traces and empty categories',
+    phrase: '[VP ~t:wh ~]',
+    tree: [node('VP', [value('t', {empty: true, link: 'wh'}), value('∅', {empty: true})])]
+  },
+  {
+    name: 'backslash escapes',
+    phrase: '[N\\_bar "say \\"hi\\"" x\\[1\\] \\u{283}]',
+    tree: [node('N_bar', [value('say "hi"'), value('x[1] ʃ')])]
+  },
+  {
+    name: 'feature structure',
+    phrase: '[VP&[NUM sg] sleeps]',
+    tree: [node('VP', [value('sleeps')], {avm: {type: 'AVM', pairs: [
+      {attr: 'NUM', value: {type: 'ATOM', text: 'sg'}}
+    ]}})]
+  }
+];
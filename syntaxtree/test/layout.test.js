@@ -0,0 +1,239 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import Tree from '../tree.js';
+import * as Tokenizer from '../tokenizer.js';
+import * as Parser from '../parser.js';
+import * as Dependency from '../dependency.js';
+import MockCanvas from './mock_canvas.js';
+import { snapshots, rounded } from './snapshot.js';
+
+const snapshot = snapshots('layout');
+
+const LAYOUT_PHRASES = {
+  'simple': '[S [NP the dog] [VP [V chased] [NP the cat]]]',
+  'unbalanced': '[CP [C that] [TP [DP she] [T\' [T will] [VP [V leave] [PP [P at] [NP noon]]]]]]',
+  'wide labels': '["Main clause" [S a] [V b] [O "a rather long object"]]',
+  'scripts and features': '[TP_i +PAST [DP^max she{NOM}] [VP sleeps]]',
+  'two trees': '[S [NP she] [VP sleeps]] [NP him]'
+};
+
+const ARROW_PHRASES = {
+  'leaf number': '[A [B C] [D E] [F G ->1]]',
+  'arrow list': '[A [B C] [D E] [F G ->1 "moves", <-2]]',
+  'named target': '[TP [DP@subj she] [VP [DP ->@subj] [V left]]]',
+  'dotted and both': '[S [NP who] [VP [V saw] [NP .>1] [PP [P with] [NP <>2 "?"]]]]',
+  'trace to antecedent': '[CP [DP@wh what] [C [C did] [TP [DP you] [VP [V see] ~t:wh]]]]'
+};
+
+function drawTree(phrase, options = {}) {
+  const tree = new Tree();
+  tree.canvas = new MockCanvas();
+  tree.setFontsize(16);
+  tree.setAlignment(options.alignment || 0);
+  tree.setLayout(options.layout || 'compact');
+  tree.setTraceArrows(!!options.traceArrows);
+  tree.setMarkup(!!options.markup);
+  tree.draw(Parser.parse(Tokenizer.tokenize(phrase)));
+  return tree;
+}
+
+// Position and size of every drawable, nested like the tree
+function positions(drawable) {
+  return rounded({
+    label: drawable.label,
+    top: drawable.top,
+    left: drawable.left,
+    width: drawable.width,
+    children: drawable.children.map(positions)
+  });
+}
+
+function arrowGeometry(arrow) {
+  return rounded({
+    from: [arrow.from_x, arrow.from_y],
+    to: [arrow.to_x, arrow.to_y],
+    controls: [arrow.control_from_x, arrow.control_to_x, arrow.bottom],
+    above: !!arrow.above,
+    label: arrow.label,
+    labelAt: arrow.label ? [arrow.label_x, arrow.label_y] : null
+  });
+}
+
+function allDrawables(drawable, list = []) {
+  list.push(drawable);
+  drawable.children.forEach(child => allDrawables(child, list));
+  return list;
+}
+
+describe('wide layout (calculateDrawablePositions)', () => {
+  for (const [name, phrase] of Object.entries(LAYOUT_PHRASES)) {
+    test(name, () => {
+      const tree = drawTree(phrase, {layout: 'wide'});
+      snapshot.match('wide: ' + name, positions(tree.drawables));
+    });
+  }
+
+  test('children share out the width of their parent', () => {
+    const tree = drawTree(LAYOUT_PHRASES['simple'], {layout: 'wide'});
+    allDrawables(tree.drawables).filter(d => d.children.length > 0).forEach(d => {
+      const total = d.children.reduce((sum, child) => sum + child.width, 0);
+      assert.ok(total <= d.width + 1e-9, d.label);
+      d.children.slice(1).forEach((child, i) =>
+        assert.equal(child.left, d.children[i].left + d.children[i].width));
+    });
+  });
+});
+
+describe('compact layout', () => {
+  for (const [name, phrase] of Object.entries(LAYOUT_PHRASES)) {
+    test(name, () => {
+      const tree = drawTree(phrase);
+      snapshot.match('compact: ' + name, positions(tree.drawables));
+    });
+  }
+
+  test('labels in a row do not overlap', () => {
+    const tree = drawTree(LAYOUT_PHRASES['unbalanced']);
+    const rows = new Map();
+    allDrawables(tree.drawables).filter(d => d.depth >= 0).forEach(d => {
+      if (!rows.has(d.top)) rows.set(d.top, []);
+      rows.get(d.top).push(d);
+    });
+    rows.forEach(row => {
+      row.sort((a, b) => a.left - b.left);
+      row.slice(1).forEach((d, i) => {
+        const prev = row[i];
+        assert.ok(prev.left + prev.width / 2 + prev.labelWidth / 2 <=
+                  d.left + d.width / 2 - d.labelWidth / 2 + 1e-9, prev.label + ' / ' + d.label);
+      });
+    });
+  });
+
+  test('leaves aligned puts every leaf on the bottom row', () => {
+    const tree = drawTree(LAYOUT_PHRASES['unbalanced'], {alignment: 1});
+    const tops = new Set(allDrawables(tree.drawables).filter(d => d.is_leaf).map(d => d.top));
+    assert.equal(tops.size, 1);
+    snapshot.match('compact: unbalanced, leaves aligned', positions(tree.drawables));
+  });
+});
+
+describe('arrows (makeArrowSet)', () => {
+  for (const [name, phrase] of Object.entries(ARROW_PHRASES)) {
+    test(name, () => {
+      const tree = drawTree(phrase, {traceArrows: name === 'trace to antecedent'});
+      snapshot.match('arrows: ' + name, tree.arrows.map(arrowGeometry));
+    });
+  }
+
+  test('one arrow per target that exists', () => {
+    assert.equal(drawTree(ARROW_PHRASES['arrow list']).arrows.length, 2);
+    assert.equal(drawTree('[A B ->9]').arrows.length, 0);
+  });
+
+  test('arrows start and end at the centers of their nodes', () => {
+    const tree = drawTree(ARROW_PHRASES['named target']);
+    const [arrow] = tree.arrows;
+    const center = d => d.left + d.width / 2;
+    const nodes = allDrawables(tree.drawables);
+    const subject = nodes.find(d => d.id === 'subj');
+    const source = nodes.find(d => d.arrows.length > 0);
+    assert.equal(arrow.from_x, center(source));
+    assert.equal(arrow.to_x, center(subject));
+  });
+
+  test('arrows are drawn as curves on the canvas', () => {
+    const tree = drawTree(ARROW_PHRASES['leaf number']);
+    assert.equal(tree.canvas.callsOf('curve').length, 1);
+  });
+});
+
+describe('dependency arcs', () => {
+  test('arcs go above the words', () => {
+    const tree = new Tree();
+    tree.canvas = new MockCanvas();
+    tree.drawDependencies(Dependency.parseDependencies('1 She 2 nsubj\n2 saw 0 root\n3 it 2 obj'));
+    assert.ok(tree.arrows.every(arrow => arrow.above));
+    snapshot.match('dependencies: she saw it', tree.arrows.map(arrowGeometry));
+  });
+});
+
+describe('labels with markup and both scripts', () => {
+  test('sub- and superscript are stacked in one column', () => {
+    const tree = drawTree('[T_i^max will]');
+    const [, i, max] = tree.canvas.callsOf('text');
+    assert.equal(i[0], 'i');
+    assert.equal(max[0], 'max');
+    const script_left = ([text, x]) => x - tree.canvas.textWidth(text) * 3 / 8;
+    assert.equal(script_left(i), script_left(max));
+    assert.ok(i[2] > max[2]);
+    const label_only = drawTree('[T^max will]').drawables.children[0].labelWidth;
+    assert.equal(tree.drawables.children[0].labelWidth, label_only);
+  });
+
+  test('markup is measured without its marks', () => {
+    const plain = drawTree('[A [B x] [C yy]]');
+    const marked = drawTree('[A [B *x*] [C --yy--]]', {markup: true});
+    assert.deepEqual(positions(marked.drawables).children.map(d => d.width),
+                     positions(plain.drawables).children.map(d => d.width));
+  });
+
+  test('labels are drawn as written unless markup is on', () => {
+    const phrase = '[S [A a*b*c] [B *x* and *y*] [C %d%]]';
+    const texts = tree => tree.canvas.callsOf('text').map(([text]) => text);
+    assert.deepEqual(texts(drawTree(phrase)), ['S', 'A', 'a*b*c', 'B', '*x* and *y*', 'C', '%d%']);
+    assert.deepEqual(texts(drawTree(phrase, {markup: true})),
+                     ['S', 'A', 'a', 'b', 'c', 'B', 'x', ' and ', 'y', 'C', 'D']);
+  });
+
+  test('empty elements such as PTB traces are drawn as written', () => {
+    const tree = drawTree('[S [NP ~*PRO*] [VP [V left] [NP ~*T*:1]]]', {markup: true});
+    const texts = tree.canvas.callsOf('text').map(([text]) => text);
+    assert.ok(texts.includes('*PRO*') && texts.includes('*T*'), texts.join(' '));
+  });
+});
+
+describe('interlinear glosses', () => {
+  const GLOSSED = '[S `I saw it.` [NP [N gör-dü-m `see-PST-1SG` `%pst%`]] [VP [V o `it`]]]';
+
+  test('glosses line up in rows under their words', () => {
+    const tree = drawTree(GLOSSED, {markup: true});
+    const texts = new Map(tree.canvas.callsOf('text').map(([text, x, y]) => [text, {x, y}]));
+    const leaves = allDrawables(tree.drawables).filter(d => d.is_leaf);
+    assert.equal(new Set(leaves.map(d => d.top)).size, 1);
+    assert.equal(texts.get('see-PST-1SG').x, texts.get('gör-dü-m').x);
+    assert.equal(texts.get('it').x, texts.get('o').x);
+    assert.equal(texts.get('see-PST-1SG').y, texts.get('it').y);
+    assert.ok(texts.get('PST').y > texts.get('it').y);
+    assert.ok(texts.get('\u2018I saw it.\u2019').y > texts.get('PST').y);
+  });
+
+  test('a word is as wide as its widest gloss', () => {
+    const tree = drawTree(GLOSSED);
+    const word = allDrawables(tree.drawables).find(d => d.label === 'gör-dü-m');
+    assert.ok(word.labelWidth > tree.canvas.textWidth('gör-dü-m') + 20);
+  });
+
+  test('the canvas makes room for the gloss rows', () => {
+    const plain = drawTree('[S [NP [N a]] [VP [V b]]]');
+    const glossed = drawTree('[S `t` [NP [N a `x` `y`]] [VP [V b]]]');
+    assert.ok(glossed.canvas.height > plain.canvas.height);
+    const [, , y] = glossed.canvas.callsOf('text').find(([text]) => text === '\u2018t\u2019');
+    assert.ok(y + 16 < glossed.canvas.height);
+  });
+
+  test('arrows go above the tree', () => {
+    const tree = drawTree('[S [NP a `x`] [VP b `y` ->1]]');
+    assert.ok(tree.arrows.length === 1 && tree.arrows[0].above);
+  });
+});
+
+describe('canvas size', () => {
+  test('the canvas fits the tree', () => {
+    const tree = drawTree(LAYOUT_PHRASES['simple']);
+    assert.equal(tree.canvas.width, tree.drawables.width + 1);
+    const bottom = Math.max(...allDrawables(tree.drawables).map(d => d.top || 0));
+    assert.ok(tree.canvas.height > bottom);
+  });
+});
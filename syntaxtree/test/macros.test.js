@@ -0,0 +1,129 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandMacros, usesMacros, BUILTIN_MACROS } from '../macros.js';
+import * as Tokenizer from '../tokenizer.js';
+import * as Parser from '../parser.js';
+import { serialize } from '../serializer.js';
+import * as Edit from '../edit.js';
+
+// The phrase with its macros expanded, in canonical notation
+function expand(phrase) {
+  return serialize(Parser.parse(Tokenizer.tokenize(phrase)));
+}
+
+describe('expandMacros', () => {
+  test('input without macros is left alone', () => {
+    assert.equal(expandMacros('[S [NP she] [VP sleeps]]'), null);
+    assert.equal(expandMacros('[S [NP $5] [VP costs]]').text, '[S [NP $5] [VP costs]]');
+  });
+
+  test('definitions with parameters', () => {
+    assert.equal(expand('def XBAR(X, comp) = [${X}P [${X}\' [$X] $comp]]\n[S $XBAR(V, [NP it])]'),
+                 '[S [VP [V\' [V] [NP it]]]]');
+  });
+
+  test('a macro without parameters', () => {
+    assert.equal(expand('def PRO = [DP ~PRO]\n[TP $PRO() [VP leave]]'),
+                 '[TP [DP ~PRO] [VP leave]]');
+  });
+
+  test('built-in shells nest', () => {
+    assert.equal(expand('$CP(, that, $TP([DP she], will, $VP(leave, )))'),
+                 '[CP [C\' [C that] [TP [DP she] [T\' [T will] [VP [V\' [V leave]]]]]]]');
+    assert.equal(expand('$DP(the, [NP dog])'), '[DP [D\' [D the] [NP dog]]]');
+    assert.deepEqual(Object.keys(BUILTIN_MACROS), ['XP', 'CP', 'TP', 'vP', 'VP', 'DP', 'PP']);
+  });
+
+  test('a definition replaces a built-in macro', () => {
+    assert.equal(expand('def DP(D, N) = [DP [D $D] [N $N]]\n$DP(the, dog)'),
+                 '[DP [D the] [N dog]]');
+  });
+
+  test('a $ that starts no call is text, and so is \\$', () => {
+    assert.equal(expand('[N $5 \\$DP(x) "$DP(y)"]'), '[N "$5 $DP(x)" "$DP(y)"]');
+  });
+
+  test('usesMacros finds definitions and calls', () => {
+    assert.equal(usesMacros('def A = [A b]\n[S c]'), true);
+    assert.equal(usesMacros('[S $DP(the, dog)]'), true);
+    assert.equal(usesMacros('[N $5 \\$DP(x)]'), false);
+    assert.equal(usesMacros('[S [NP it]]'), false);
+  });
+});
+
+describe('source ranges', () => {
+  test('tokens from a call point at the whole call', () => {
+    const phrase = 'def A = [A b]\n[S $A()]';
+    const tokens = Tokenizer.tokenize(phrase);
+    assert.equal(tokens[0].start, phrase.indexOf('[S'));
+    assert.equal(tokens[0].macro, null);
+    const label = tokens.find(token => token.value === 'b');
+    assert.equal(phrase.substring(label.start, label.end), '$A()');
+    assert.equal(label.macro, 'A');
+    assert.equal(label.line, 2);
+  });
+
+  test('labels written by a macro cannot be edited in place', () => {
+    const [s] = Parser.parse(Tokenizer.tokenize('[S $DP(the, [NP dog])]')).values;
+    assert.equal(s.labelStart, 1);
+    assert.equal(s.values[0].labelStart, undefined);
+    assert.equal(s.values[0].start, 3);
+  });
+
+  test('the outermost node of a call is the one found at its offset', () => {
+    const tree = Parser.parse(Tokenizer.tokenize('[S $DP(the, [NP dog])]'));
+    assert.equal(Edit.findNodeAt(tree, 3), tree.values[0].values[0]);
+    assert.equal(Edit.findNodeAt(tree, 3).label, 'DP');
+  });
+});
+
+describe('macro errors', () => {
+  test('undefined macro', () => {
+    assert.throws(() => Tokenizer.tokenize('[S $NOPE(a)]'), err =>
+      err instanceof Tokenizer.ParseError && err.start === 3 && err.end === 11 &&
+      err.message === 'Undefined macro $NOPE');
+  });
+
+  test('recursive macros', () => {
+    assert.throws(() => Tokenizer.tokenize('def A = [A $B()]\ndef B = [B $A()]\n[S $A()]'),
+                  /Recursive macro: \$A calls \$B calls \$A/);
+  });
+
+  test('wrong number of arguments', () => {
+    assert.throws(() => Tokenizer.tokenize('$DP(the)'),
+                  /\$DP takes 2 argument\(s\) \(D, NP\), not 1/);
+  });
+
+  test('unknown parameter in a body', () => {
+    assert.throws(() => Tokenizer.tokenize('def A(x) = [A $y]\n[S]'),
+                  /Unknown parameter \$y in \$A/);
+  });
+
+  test('definitions after the tree', () => {
+    assert.throws(() => Tokenizer.tokenize('[S]\ndef A = [A]'),
+                  /Macro definitions must come before the tree/);
+  });
+
+  test('unterminated calls and definitions', () => {
+    assert.throws(() => Tokenizer.tokenize('$DP(the, [NP dog]'),
+                  /Missing \) after the arguments of \$DP/);
+    assert.throws(() => Tokenizer.tokenize('def A = [A [b]\n'), /Unterminated definition of \$A/);
+  });
+
+  test('macros that double at every level stop at a limit', () => {
+    const chain = ['def M0 = [x]'];
+    for (let i = 1; i <= 30; ++i)
+      chain.push('def M' + i + ' = [$M' + (i - 1) + '() $M' + (i - 1) + '()]');
+    const phrase = chain.join('\n') + '\n[S $M30()]';
+    assert.throws(() => Tokenizer.tokenize(phrase), err =>
+      err instanceof Tokenizer.ParseError && err.start === phrase.indexOf('$M30()') &&
+      err.end === phrase.length - 1 && /Macros make more than 10000 calls/.test(err.message));
+
+    const nested = 'def D(x) = [$x $x]\n' + '$D('.repeat(30) + 'x' + ')'.repeat(30);
+    assert.throws(() => Tokenizer.tokenize(nested), err =>
+      err instanceof Tokenizer.ParseError &&
+      /\$D expands to more than 100000 characters/.test(err.message));
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkup, plainText, escapeMarkup, measureMarkup, drawMarkup } from '../markup.js';
+import MockCanvas from './mock_canvas.js';
+
+describe('parseMarkup', () => {
+  test('plain text is one run', () => {
+    assert.deepEqual(parseMarkup('NP'), [{text: 'NP'}]);
+  });
+
+  test('italic, bold, small caps and overline', () => {
+    assert.deepEqual(parseMarkup('*a* **b** ***c*** %d% --e--'), [
+      {text: 'a', italic: true}, {text: ' '}, {text: 'b', bold: true}, {text: ' '},
+      {text: 'c', bold: true, italic: true}, {text: ' '}, {text: 'd', smallcaps: true},
+      {text: ' '}, {text: 'e', overline: true}
+    ]);
+  });
+
+  test('marks nest', () => {
+    assert.deepEqual(parseMarkup('**a *b***'), [
+      {text: 'a ', bold: true}, {text: 'b', bold: true, italic: true}
+    ]);
+  });
+
+  test('unmatched and escaped marks are text', () => {
+    assert.equal(plainText('*John left'), '*John left');
+    assert.equal(plainText('a * b * c'), 'a * b * c');
+    assert.equal(plainText('\\*x* 50\\%'), '*x* 50%');
+  });
+
+  test('stars before words and marks inside words are text', () => {
+    assert.equal(plainText('*John *Mary'), '*John *Mary');
+    assert.equal(plainText('A--B--C 5%a%'), 'A--B--C 5%a%');
+    assert.equal(plainText(escapeMarkup('*T*-1 %x%')), '*T*-1 %x%');
+  });
+});
+
+describe('measureMarkup and drawMarkup', () => {
+  test('plain text measures like textWidth', () => {
+    const canvas = new MockCanvas();
+    assert.equal(measureMarkup(canvas, 'VP'), canvas.textWidth('VP'));
+  });
+
+  test('bold runs are wider and small caps narrower', () => {
+    const canvas = new MockCanvas();
+    canvas.setMarkup(true);
+    assert.ok(measureMarkup(canvas, '**ab**') > canvas.textWidth('ab'));
+    assert.ok(measureMarkup(canvas, '%ab%') < canvas.textWidth('AB'));
+  });
+
+  test('runs are drawn side by side and the font is restored', () => {
+    const canvas = new MockCanvas();
+    canvas.setMarkup(true);
+    drawMarkup(canvas, 'a --bb--', 100, 0, 'red');
+    const [[a, a_x], [bb, bb_x]] = canvas.callsOf('text');
+    assert.equal(a, 'a ');
+    assert.equal(bb, 'bb');
+    assert.equal(bb_x - a_x, 16); // Half of 'a ' and half of bb, both 16 wide
+    assert.deepEqual(canvas.callsOf('line'), [[100, -1, 116, -1]]);
+    assert.equal(canvas.fontsize, 16);
+    assert.equal(canvas.fontstyle, '');
+  });
+
+  test('without markup text is measured and drawn as written', () => {
+    const canvas = new MockCanvas();
+    for (const text of ['a*b*c', '*x* and *y*', '**a**', '%sc%', '--T--']) {
+      assert.equal(measureMarkup(canvas, text), canvas.textWidth(text));
+      drawMarkup(canvas, text, 0, 0, 'red');
+    }
+    assert.deepEqual(canvas.callsOf('text').map(([text]) => text),
+                     ['a*b*c', '*x* and *y*', '**a**', '%sc%', '--T--']);
+    assert.deepEqual(canvas.callsOf('line'), []);
+  });
+});
@@ -0,0 +1,68 @@
+// Canvas stand-in for tests: the same API as canvas.js and svgcanvas.js,
+// no DOM. Text is measured as a fixed fraction of the font size per
+// grapheme cluster so layouts are the same on every machine, and every
+// drawing call is recorded in calls.
+
+'use strict';
+
+import { displayText, graphemes } from '../unicode.js';
+
+// Width of one character in ems, and the factor for bold text
+const CHAR_WIDTH = 0.5;
+const BOLD_WIDTH = 1.1;
+
+export default class MockCanvas {
+  constructor() {
+    this.font = 'sans-serif';
+    this.fontsize = 16;
+    this.fontstyle = '';
+    this.markup = false;
+    this.width = 0;
+    this.height = 0;
+    this.calls = [];
+  }
+
+  resize(w, h) {
+    this.width = w;
+    this.height = h;
+    this.calls = [];
+  }
+
+  textWidth(t) {
+    return this.measureText(t, this.font, this.fontsize, this.fontstyle);
+  }
+
+  measureText(t, font, fontsize, fontstyle = '') {
+    const width = graphemes(displayText(t)).length * CHAR_WIDTH * fontsize;
+    return /bold/.test(fontstyle) ? width * BOLD_WIDTH : width;
+  }
+
+  translate(x, y) { this.record('translate', x, y); }
+  text(t, x, y) { this.record('text', displayText(t), x, y); }
+  setFont(f) { this.font = f; }
+  setFontSize(s) { this.fontsize = s; }
+  setFontStyle(s) { this.fontstyle = s; }
+  setMarkup(m) { this.markup = m; }
+  setFillStyle(s) { this.record('fillStyle', s); }
+  setStrokeStyle(s) { this.record('strokeStyle', s); }
+  setLineWidth(w) { this.record('lineWidth', w); }
+  setLineDash(d) { this.record('lineDash', d); }
+  line(x1, y1, x2, y2) { this.record('line', x1, y1, x2, y2); }
+  triangle(x1, y1, x2, y2, x3, y3, fill = false) {
+    this.record('triangle', x1, y1, x2, y2, x3, y3, fill);
+  }
+  rect(x, y, w, h, fill = false) { this.record('rect', x, y, w, h, fill); }
+  curve(x1, y1, x2, y2, cx1, cy1, cx2, cy2) {
+    this.record('curve', x1, y1, x2, y2, cx1, cy1, cx2, cy2);
+  }
+  download(fn) { this.record('download', fn); }
+
+  // Calls of one kind, e.g. all 'text' calls, without the name
+  callsOf(name) {
+    return this.calls.filter(call => call[0] === name).map(call => call.slice(1));
+  }
+
+  record(name, ...args) {
+    this.calls.push([name, ...args]);
+  }
+}
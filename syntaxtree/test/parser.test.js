@@ -0,0 +1,148 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Tokenizer from '../tokenizer.js';
+import * as Parser from '../parser.js';
+import { serialize } from '../serializer.js';
+import { PARSE_FIXTURES } from './fixtures/phrases.js';
+
+const SPAN_FIELDS = ['start', 'end', 'labelStart', 'labelEnd'];
+
+function parse(phrase, diagnostics = null) {
+  return Parser.parse(Tokenizer.tokenize(phrase), diagnostics);
+}
+
+// Parse tree without source spans and without null or empty fields, the
+// form the fixtures are written in
+function simplify(node) {
+  const simple = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (SPAN_FIELDS.includes(key) || value == null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    simple[key] = key === 'values' ? value.map(simplify) : value;
+  }
+  return simple;
+}
+
+describe('Parser.parse fixtures', () => {
+  for (const fixture of PARSE_FIXTURES) {
+    test(fixture.name, () => {
+      assert.deepEqual(simplify(parse(fixture.phrase)).values, fixture.tree);
+    });
+  }
+});
+
+describe('serializer', () => {
+  for (const fixture of PARSE_FIXTURES) {
+    test('round trip: ' + fixture.name, () => {
+      const text = serialize(parse(fixture.phrase));
+      assert.deepEqual(simplify(parse(text)), simplify(parse(fixture.phrase)), text);
+    });
+  }
+
+  test('quotes and backslashes in feature structure atoms', () => {
+    const tree = parse('[A&[B "say \\"hi\\" \\\\", C "x]"] d]');
+    assert.deepEqual(tree.values[0].avm.pairs.map(pair => pair.value.text), ['say "hi" \\', 'x]']);
+    assert.equal(serialize(tree), '[A&[B "say \\"hi\\" \\\\", C "x]"] d]');
+  });
+
+  test('node names are written bare and others are rejected', () => {
+    assert.equal(serialize(parse("[DP@t-1.x' [D a]] [B b ->@t-1.x']")),
+                 "[DP@t-1.x' [D a]] [B b ->@t-1.x']");
+    assert.throws(() => parse('[A@x\\|y b]'), err =>
+      err instanceof Tokenizer.ParseError && err.start === 3 &&
+      err.message.startsWith('Invalid name @x\\|y. Names are a letter'));
+    assert.throws(() => parse('[A b ->@x*]'), /Expected column number or @name after arrow/);
+    const tree = parse('[A b]');
+    tree.values[0].id = 'x y';
+    assert.equal(serialize(tree), '[A b]');
+  });
+});
+
+describe('source spans', () => {
+  test('nodes and leaves record their range and label range', () => {
+    const phrase = '[S [NP the dog] [VP barked]]';
+    const np = parse(phrase).values[0].values[0];
+    assert.equal(phrase.substring(np.start, np.end), '[NP the dog]');
+    assert.equal(phrase.substring(np.labelStart, np.labelEnd), 'NP');
+    const leaf = np.values[0];
+    assert.equal(phrase.substring(leaf.labelStart, leaf.labelEnd), 'the dog');
+  });
+});
+
+describe('Parser.validate', () => {
+  const cases = [
+    ['[A [B c]', '1 bracket(s) open [', 0],
+    ['[A b]]', '1 too many closed bracket(s) ]', 5],
+    ['[A b] c', 'Phrase must start with [ and end with ]', 6]
+  ];
+  for (const [phrase, message, start] of cases) {
+    test(phrase, () => {
+      assert.throws(() => Parser.validate(Tokenizer.tokenize(phrase)),
+                    err => err instanceof Tokenizer.ParseError && err.message === message &&
+                           err.start === start);
+    });
+  }
+
+  test('too short', () => {
+    assert.throws(() => Parser.validate(Tokenizer.tokenize('A')), /Phrase too short/);
+  });
+
+  test('balanced phrase', () => {
+    assert.equal(Parser.validate(Tokenizer.tokenize('[A [B c]]')), null);
+  });
+
+  test('pushes the errors onto diagnostics when recovering', () => {
+    const messages = (phrase) => {
+      const diagnostics = [];
+      Parser.validate(Tokenizer.tokenize(phrase), diagnostics);
+      return diagnostics.map(err => err instanceof Tokenizer.ParseError ? err.message : err);
+    };
+    assert.deepEqual(messages(''), ['Phrase too short']);
+    assert.deepEqual(messages('hello world foo'), ['Phrase must start with [ and end with ]']);
+    assert.deepEqual(messages('[A b]] c'), [
+      'Phrase must start with [ and end with ]', '1 too many closed bracket(s) ]'
+    ]);
+    assert.deepEqual(messages('[A [B c]]'), []);
+  });
+});
+
+describe('error recovery', () => {
+  test('throws the first error without a diagnostics array', () => {
+    assert.throws(() => parse('[A [B c] [D ->x e]]'),
+                  /Expected column number or @name after arrow/);
+  });
+
+  test('collects every error and returns a best-effort tree', () => {
+    const diagnostics = [];
+    const tree = parse('[A [B c] [D ->x e]', diagnostics);
+    assert.deepEqual(diagnostics.map(err => err.message), [
+      'Expected column number or @name after arrow',
+      'Missing closing bracket ] for this ['
+    ]);
+    assert.equal(tree.values[0].recovered, true);
+    assert.equal(serialize(tree), '[A [B c] [D x e]]');
+  });
+});
+
+describe('sub/superscripts', () => {
+  test('a second subscript is an error', () => {
+    assert.throws(() => parse('[A_i_j b]'), /Only one subscript allowed per label/);
+  });
+
+  test('both scripts are written back', () => {
+    assert.equal(serialize(parse('[T^max_i will]')), '[T_i^max will]');
+  });
+});
+
+describe('glosses', () => {
+  test('a translation only goes on a top node', () => {
+    assert.throws(() => parse('[S [NP `x` a]]'), /Only the top node takes a `translation`/);
+    assert.throws(() => parse('[S `a` `b` c]'), /A tree has only one `translation`/);
+  });
+
+  test('a gloss after a phrase is an error', () => {
+    assert.throws(() => parse('[S [NP a] `x`]'), /A `gloss` goes right after its word/);
+  });
+});
@@ -0,0 +1,51 @@
+// Minimal snapshot testing. Each test file keeps its snapshots in one JSON
+// file under test/snapshots/, keyed by snapshot name. A snapshot that does
+// not exist fails the test, so test runs never write files. Run with
+// UPDATE_SNAPSHOTS=1 to write new snapshots and rewrite the others after an
+// intended layout change, and review the diff.
+
+'use strict';
+
+import fs from 'node:fs';
+import path from 'node:path';
+import assert from 'node:assert/strict';
+
+const SNAPSHOT_DIR = path.join(import.meta.dirname, 'snapshots');
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+// Snapshot store for one test file, e.g. snapshots('layout')
+export function snapshots(file) {
+  const filename = path.join(SNAPSHOT_DIR, file + '.json');
+  const stored = fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename, 'utf8')) : {};
+  const seen = {};
+
+  const save = () => {
+    const sorted = Object.fromEntries(Object.entries(seen)
+        .sort(([a], [b]) => a.localeCompare(b)));
+    fs.mkdirSync(SNAPSHOT_DIR, {recursive: true});
+    fs.writeFileSync(filename, JSON.stringify(sorted, null, 2) + '\n');
+  };
+
+  return {
+    // Compare value with the stored snapshot of that name
+    match(name, value) {
+      const actual = JSON.parse(JSON.stringify(value));
+      if (UPDATE) {
+        seen[name] = actual;
+        save();
+        return;
+      }
+      assert.ok(name in stored, 'No snapshot ' + name + '. Run with UPDATE_SNAPSHOTS=1 to add it');
+      assert.deepEqual(actual, stored[name], 'Snapshot ' + name + ' changed');
+    }
+  };
+}
+
+// Round numbers so snapshots do not depend on floating point noise
+export function rounded(value, digits = 2) {
+  if (typeof value === 'number') return Number(value.toFixed(digits));
+  if (Array.isArray(value)) return value.map(item => rounded(item, digits));
+  if (value != null && typeof value === 'object')
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rounded(v, digits)]));
+  return value;
+}
@@ -0,0 +1,159 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Tokenizer from '../tokenizer.js';
+
+const T = Tokenizer.TokenType;
+
+// [type, value] of every token
+function tokens(input) {
+  return Tokenizer.tokenize(input).map(token => [token.type, token.value]);
+}
+
+describe('Tokenizer.tokenize', () => {
+  test('brackets, strings and scripts', () => {
+    assert.deepEqual(tokens('[N_s x^y]'), [
+      [T.BRACKET_OPEN, null], [T.STRING, 'N'], [T.SUBSCRIPT_PREFIX, null], [T.STRING, 's'],
+      [T.STRING, 'x'], [T.SUPERSCRIPT_PREFIX, null], [T.STRING, 'y'], [T.BRACKET_CLOSE, null]
+    ]);
+  });
+
+  test('quoted strings keep spaces and brackets', () => {
+    assert.deepEqual(tokens('["a [b]  c"]'), [
+      [T.BRACKET_OPEN, null], [T.QUOTED_STRING, 'a [b]  c'], [T.BRACKET_CLOSE, null]
+    ]);
+  });
+
+  test('case features stay part of the word', () => {
+    assert.deepEqual(tokens('[NP dogs{NOM} {ACC}]'), [
+      [T.BRACKET_OPEN, null], [T.STRING, 'NP'], [T.STRING, 'dogs{NOM}'], [T.STRING, '{ACC}'],
+      [T.BRACKET_CLOSE, null]
+    ]);
+  });
+
+  test('arrows, numbers and the commas between arrows', () => {
+    assert.deepEqual(tokens('->1 "x", <-2, <>@n .>3'), [
+      [T.ARROW_TO, null], [T.NUMBER, 1], [T.QUOTED_STRING, 'x'], [T.STRING, ','],
+      [T.ARROW_FROM, null], [T.NUMBER, 2], [T.STRING, ','],
+      [T.ARROW_BOTH, null], [T.ID_PREFIX, null], [T.STRING, 'n'],
+      ['ARROW_DOTTED_TO', null], [T.NUMBER, 3]
+    ]);
+  });
+
+  test('traces, feature structures and style blocks', () => {
+    assert.deepEqual(tokens('[A ~t:i|bold| &[B c, D <e>]]'), [
+      [T.BRACKET_OPEN, null], [T.STRING, 'A'], [T.EMPTY, 't:i'], [T.STYLE, 'bold'],
+      [T.AVM, '[B c, D <e>]'], [T.BRACKET_CLOSE, null]
+    ]);
+  });
+
+  test('a style block only right after a label', () => {
+    assert.deepEqual(tokens('[A|color=rgb(1, 2, 3)| a|b| c|bold| |box|]'), [
+      [T.BRACKET_OPEN, null], [T.STRING, 'A'], [T.STYLE, 'color=rgb(1, 2, 3)'],
+      [T.STRING, 'a|b|'], [T.STRING, 'c'], [T.STYLE, 'bold'], [T.STRING, '|box|'],
+      [T.BRACKET_CLOSE, null]
+    ]);
+    assert.deepEqual(Tokenizer.splitStyle('bold;color=rgb(1, 2, 3) fill:red'), [
+      ['bold', 'bold', null], ['color=rgb(1, 2, 3)', 'color', 'rgb(1, 2, 3)'],
+      ['fill:red', 'fill', 'red']
+    ]);
+  });
+
+  test('glosses in backticks', () => {
+    assert.deepEqual(tokens('[N dogs`dog-PL` `a \\` b`]'), [
+      [T.BRACKET_OPEN, null], [T.STRING, 'N'], [T.STRING, 'dogs'], [T.GLOSS, 'dog-PL'],
+      [T.GLOSS, 'a ` b'], [T.BRACKET_CLOSE, null]
+    ]);
+    assert.throws(() => Tokenizer.tokenize('[A b `c]'), /Unterminated gloss/);
+  });
+
+  test('@ names a node only right after its label or after an arrow', () => {
+    assert.deepEqual(tokens('[DP_i@x a@b @c ->@x]'), [
+      [T.BRACKET_OPEN, null], [T.STRING, 'DP'], [T.SUBSCRIPT_PREFIX, null], [T.STRING, 'i'],
+      [T.ID_PREFIX, null], [T.STRING, 'x'], [T.STRING, 'a@b'], [T.STRING, '@c'],
+      [T.ARROW_TO, null], [T.ID_PREFIX, null], [T.STRING, 'x'], [T.BRACKET_CLOSE, null]
+    ]);
+    assert.equal(Tokenizer.quoteIfNeeded('a@b'), '"a@b"');
+    assert.equal(Tokenizer.quoteIfNeeded('a@b', true), 'a@b');
+  });
+
+  test('a ~ inside a word is not a trace', () => {
+    assert.deepEqual(tokens('a~b'), [[T.STRING, 'a~b']]);
+  });
+
+  test('records offsets, lines and columns', () => {
+    const input = '[A\n  "b c" ->1]';
+    const quoted = Tokenizer.tokenize(input)[2];
+    assert.equal(input.substring(quoted.start, quoted.end), '"b c"');
+    assert.equal(quoted.line, 2);
+    assert.equal(quoted.column, 3);
+  });
+});
+
+describe('escapes and Unicode', () => {
+  test('escaped control characters are part of the word', () => {
+    assert.deepEqual(tokens('N\\_bar x\\[1\\] a\\^b \\$5'), [
+      [T.STRING, 'N_bar'], [T.STRING, 'x[1]'], [T.STRING, 'a^b'], [T.STRING, '$5']
+    ]);
+  });
+
+  test('quotes and backslashes in quoted strings', () => {
+    assert.deepEqual(tokens('"say \\"hi\\" \\\\"'), [[T.QUOTED_STRING, 'say "hi" \\']]);
+  });
+
+  test('code points', () => {
+    assert.deepEqual(tokens('\\u{283}\\u{1F600} "\\u{E9}"'), [
+      [T.STRING, 'ʃ😀'], [T.QUOTED_STRING, 'é']
+    ]);
+  });
+
+  test('other backslashes are kept, so \\n still breaks lines', () => {
+    assert.deepEqual(tokens('a\\nb'), [[T.STRING, 'a\\nb']]);
+  });
+
+  test('invalid code points', () => {
+    assert.throws(() => Tokenizer.tokenize('[A \\u{110000}]'), /Invalid code point/);
+    assert.throws(() => Tokenizer.tokenize('[A \\u{D800}]'), /Invalid code point/);
+  });
+
+  test('labels with escapes are quoted when written back', () => {
+    assert.equal(Tokenizer.quoteIfNeeded('N_bar'), '"N_bar"');
+    assert.equal(Tokenizer.quote('say "hi" \\'), '"say \\"hi\\" \\\\"');
+  });
+});
+
+describe('tokenizer errors', () => {
+  test('unterminated quoted string', () => {
+    assert.throws(() => Tokenizer.tokenize('[A "b]'), err =>
+      err instanceof Tokenizer.ParseError && err.start === 3 &&
+      String(err) === 'Line 1, column 4: Unterminated quoted string. Missing closing "');
+  });
+
+  test('unterminated feature structure', () => {
+    assert.throws(() => Tokenizer.tokenize('[A &[B c'),
+                  /Unterminated feature structure. Missing closing ]/);
+  });
+
+  test('excerpt points at the error', () => {
+    const input = '[A\n[B "c]';
+    try {
+      Tokenizer.tokenize(input);
+      assert.fail('expected an error');
+    } catch (err) {
+      assert.equal(err.excerpt(input), '[B "c]\n   ^^^');
+    }
+  });
+});
+
+describe('Tokenizer.quoteIfNeeded', () => {
+  test('plain words stay as they are', () => {
+    assert.equal(Tokenizer.quoteIfNeeded('NP'), 'NP');
+    assert.equal(Tokenizer.quoteIfNeeded('a b', true), 'a b');
+  });
+
+  test('anything else is quoted', () => {
+    assert.equal(Tokenizer.quoteIfNeeded('a b'), '"a b"');
+    assert.equal(Tokenizer.quoteIfNeeded('[x]'), '"[x]"');
+  });
+});
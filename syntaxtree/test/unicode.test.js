@@ -0,0 +1,29 @@
+'use strict';
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { graphemes, truncate, displayText } from '../unicode.js';
+
+describe('graphemes', () => {
+  test('combining marks, tie bars and emoji sequences stay whole', () => {
+    assert.deepEqual(graphemes('\u014b\u030a t\u0361\u0283 \u{1F469}\u200d\u{1F467}'),
+                     ['\u014b\u030a', ' ', 't\u0361', '\u0283', ' ', '\u{1F469}\u200d\u{1F467}']);
+  });
+});
+
+describe('truncate', () => {
+  test('cuts between clusters', () => {
+    assert.equal(truncate('e\u0301e\u0301e\u0301', 2), 'e\u0301e\u0301…');
+    assert.equal(truncate('abc', 3), 'abc');
+  });
+});
+
+describe('displayText', () => {
+  test('composes decomposed letters', () => {
+    assert.equal(displayText('e\u0301'), '\u00e9');
+  });
+
+  test('puts a dotted circle under a lone diacritic', () => {
+    assert.equal(displayText('\u0303'), '\u25cc\u0303');
+  });
+});
@@ -0,0 +1,86 @@
+// Color themes for rendered trees and the page around them.
+// Each preset sets the canvas background, the label colors for phrasal
+// nodes, leaves and features, the color used when node coloring is off
+// (text), traces and empty elements drawn in grey (empty), connector lines
+// and the palette arrows cycle through.
+// ui says whether the page should use its light or dark style.
+
+'use strict';
+
+export const DEFAULT_THEME = 'classic';
+
+export const THEMES = {
+  classic: {
+    name: 'Classic',
+    ui: 'light',
+    background: '#FFFFFF',
+    node: '#0000CC',
+    leaf: '#CC0000',
+    feature: '#0000CC',
+    text: 'black',
+    empty: '#999999',
+    connector: 'black',
+    arrows: [
+      '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#46f0f0', '#f032e6',
+      '#bcf60c', '#008080', '#e6beff', '#9a6324', '#800000', '#808000', '#000075', '#808080', '#000000'
+    ]
+  },
+  monochrome: {
+    name: 'Monochrome',
+    ui: 'light',
+    background: '#FFFFFF',
+    node: 'black',
+    leaf: 'black',
+    feature: 'black',
+    text: 'black',
+    empty: '#999999',
+    connector: 'black',
+    arrows: ['#000000', '#555555', '#888888']
+  },
+  contrast: {
+    name: 'High contrast',
+    ui: 'dark',
+    background: '#000000',
+    node: '#FFFF00',
+    leaf: '#FFFFFF',
+    feature: '#00FFFF',
+    text: '#FFFFFF',
+    empty: '#AAAAAA',
+    connector: '#FFFFFF',
+    arrows: ['#00FF00', '#FF00FF', '#00FFFF', '#FFFF00', '#FF8000']
+  },
+  dark: {
+    name: 'Dark',
+    ui: 'dark',
+    background: '#1E1E1E',
+    node: '#74C0FC',
+    leaf: '#FF8A80',
+    feature: '#91A7FF',
+    text: '#E0E0E0',
+    empty: '#808080',
+    connector: '#BBBBBB',
+    arrows: [
+      '#ff6b81', '#69db7c', '#74c0fc', '#ffa94d', '#da77f2', '#66d9e8', '#f783ac',
+      '#c0eb75', '#38d9a9', '#e599f7', '#ffd43b', '#adb5bd'
+    ]
+  },
+  print: {
+    name: 'Print',
+    ui: 'light',
+    background: '#FFFFFF',
+    node: '#1A237E',
+    leaf: '#7F0000',
+    feature: '#1A237E',
+    text: 'black',
+    empty: '#707070',
+    connector: 'black',
+    arrows: ['#000000', '#7F0000', '#1A237E', '#1B5E20', '#4A148C']
+  }
+};
+
+// Theme by id. 'auto' follows the color scheme: dark if prefers_dark,
+// otherwise the default. Unknown ids fall back to the default too.
+export function getTheme(id, prefers_dark = false) {
+  if (id === 'auto') return THEMES[prefers_dark ? 'dark' : DEFAULT_THEME];
+  return THEMES[id] || THEMES[DEFAULT_THEME];
+}
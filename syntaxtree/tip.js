@@ -3,10 +3,15 @@
 // Array of helpful tips for using the SyntaxTree app.
 // These are shown to the user in the UI, one at a time.
 const tips = [
-  'Click on the syntax tree image to download a copy.',
+  'Click on a node to find it in the phrase, double-click it to rename it.',
+  'Drag a node onto another node to move it there, or onto a sibling to reorder. ' +
+      'Press Delete right after clicking a node to remove it.',
+  'Use the Download SVG button for a sharp vector copy of the tree for papers and slides.',
   'SyntaxTree works offline, instantly updates and handles unicode fonts.',
+  'Your phrase and settings are saved automatically. Undo with Ctrl+Z, redo with Ctrl+Shift+Z.',
   'You can right-click the image and copy &amp; paste the graph into your document editor.',
-  'The graph will update automatically once a matching number of brackets is detected.',
+  'The graph updates as you type. Until the brackets match, it shows what is there so far ' +
+      'and the message below the phrase points at the missing or extra bracket.',
   'Add manual subscripts to nodes using an underscore character.<br />' +
       'Example: <a href="?[N_s%20Dogs]">[N_s Dogs]</a>',
   'Add manual superscript to nodes using the ^ character.<br />' +
@@ -14,7 +19,29 @@ const tips = [
   'You can add spaces to nodes by putting them inside double quotes.<br />' +
       'Example: <a href="?[&quot;Main%20clause&quot;%20[S][V][O]]">[&quot;Main clause&quot; [S][V][O]]</a>',
   'Add arrows to a node by using an -&gt;, &lt- or &lt;&gt; arrow followed by column number.<br />' +
-      'Example: <a href="?[A%20[B%20C][D%20E][F%20G%20->1]]">[A [B C][D E][F G ->1]]</a>'
+      'Example: <a href="?[A%20[B%20C][D%20E][F%20G%20->1]]">[A [B C][D E][F G ->1]]</a>',
+  'Name any node with @ and point arrows at it by name, also from phrases.<br />' +
+      'Example: <a href="?[TP%20[DP@subj%20she]%20[VP%20[DP%20->@subj]%20[V%20left]]]">[TP [DP@subj she] [VP [DP -&gt;@subj] [V left]]]</a>',
+  'Style a node with a |...| block after its label: bold, italic, box, strike, color=, fill= and stroke=.<br />' +
+      'Example: <a href="?[VP%20[V|box%20bold|%20saw]%20[DP|color=green|%20it]%20[DP|strike|%20t]]">[VP [V|box bold| saw] [DP|color=green| it] [DP|strike| t]]</a>',
+  'Write traces and empty elements with ~ (~t, ~PRO, ~ for &empty;) and link a trace to its antecedent with ~t:name.<br />' +
+      'Example: <a href="?[CP%20[DP@wh%20what]%20[C%20[C%20did]%20[TP%20[DP%20you]%20[VP%20[V%20see]%20~t:wh]]]]">[CP [DP@wh what] [C [C did] [TP [DP you] [VP [V see] ~t:wh]]]]</a>',
+  'Attach a feature structure to a node with &amp;[...]: nested [ATTR value] matrices, #1 tags and &lt;lists&gt;.<br />' +
+      'Example: <a href="?[S%20[NP%20she]%20[VP%26[HEAD%20verb,%20SUBJ%20&lt;%231&gt;,%20AGR%20%231%20[NUM%20sg]]%20sleeps]]">[S [NP she] [VP&amp;[HEAD verb, SUBJ &lt;#1&gt;, AGR #1 [NUM sg]] sleeps]]</a>',
+  'Switch to Dependency arcs to draw CoNLL-U input, or one ID FORM HEAD DEPREL line per word.<br />' +
+      'To dependencies converts the tree; mark head children with |head|, e.g. [VP [V|head| saw] [NP it]].',
+  'Paste a Penn Treebank tree such as (S (NP (DT the) (NN dog)) (VP (VBD barked))) and press Import PTB ' +
+      'to convert it. (-NONE- *T*-1) becomes the trace ~*T*:1.',
+  'Export downloads the tree as JSON, Penn Treebank or CoNLL-U text for your scripts. ' +
+      'Import JSON loads a tree written in the same JSON format.',
+  'Use a backslash for brackets, _, ^ and quotes inside labels, and \\u{...} for any character.<br />' +
+      'Example: <a href="?[N%5C_bar%20x%5C[1%5C]%20%5Cu{283}]">[N\\_bar x\\[1\\] \\u{283}]</a>',
+  'Turn on Markup to write *italic*, **bold**, %small caps% and --overline-- in labels. Any label can have both a _subscript and a ^superscript.<br />' +
+      'Example: <a href="?phrase=[T_i%5Emax%20[--T--%5E0%20*will*]%20[N%20%25past%25]]&amp;markup=1">[T_i^max [--T--^0 *will*] [N %past%]]</a>',
+  'Put `glosses` after a word for interlinear gloss lines under the leaves, and a `translation` after the top label.<br />' +
+      'Example: <a href="?[S%20%60I%20saw%20the%20houses.%60%20[NP%20ev-ler%20%60house-PL%60]%20[V%20g%C3%B6r-d%C3%BC-m%20%60see-PST-1SG%60]]">[S `I saw the houses.` [NP ev-ler `house-PL`] [V gör-dü-m `see-PST-1SG`]]</a>',
+  'Define macros at the top, e.g. def XBAR(X, comp) = [${X}P [${X}\' [$X] $comp]], and call them as $XBAR(V, [NP it]).<br />' +
+      'Built in: $CP(spec, C, TP), $TP(spec, T, vP), $vP(spec, v, VP), $VP(V, comp), $DP(D, NP), $PP(P, comp), $XP(X, spec, head, comp).'
 ];
 
 // Start with a random tip index so the first tip shown is random
@@ -1,5 +1,7 @@
 'use strict';
 
+import { expandMacros } from './macros.js';
+
 // Token types for the syntax tree parser
 export const TokenType = {
   BRACKET_OPEN: 'BRACKET_OPEN',           // [
@@ -11,51 +13,195 @@ export const TokenType = {
   SUPERSCRIPT_PREFIX: 'SUPERSCRIPT_PREFIX', // ^
   ARROW_TO: 'ARROW_TO',                   // ->
   ARROW_FROM: 'ARROW_FROM',               // <-
-  ARROW_BOTH: 'ARROW_BOTH'                // <>
+  ARROW_BOTH: 'ARROW_BOTH',               // <>
+  ID_PREFIX: 'ID_PREFIX',                 // @ (node identifier)
+  STYLE: 'STYLE',                         // |...| (style block)
+  EMPTY: 'EMPTY',                         // ~label:link (trace or empty category)
+  AVM: 'AVM',                             // &[...] (attribute-value matrix)
+  GLOSS: 'GLOSS'                          // `...` (gloss or translation)
 };
 
-// Token class represents a single token with type and value
+// Token class represents a single token with type and value.
+// tokenize() also records where the token came from: start/end are
+// character offsets into the input, line/column are 1-based. A token from a
+// macro call points at the whole call and has the macro's name.
 export class Token {
   constructor(type, value = null) {
     this.type = type;
     this.value = value;
+    this.start = null;
+    this.end = null;
+    this.line = null;
+    this.column = null;
+    this.macro = null;
+  }
+}
+
+// ParseError is thrown for tokenizer and parser errors. It carries the
+// source range of the offending input so the UI can point at it.
+export class ParseError extends Error {
+  constructor(message, start = null, end = null, line = null, column = null) {
+    super(message);
+    this.name = 'ParseError';
+    this.start = start;
+    this.end = end;
+    this.line = line;
+    this.column = column;
+  }
+
+  // Create an error pointing at a token
+  static at(token, message) {
+    if (token == null) return new ParseError(message);
+    return new ParseError(message, token.start, token.end, token.line, token.column);
+  }
+
+  // Create an error pointing at a character offset in the input
+  static atOffset(input, start, end, message) {
+    const [line, column] = lineAndColumn(input, start);
+    return new ParseError(message, start, end, line, column);
+  }
+
+  // The offending source line followed by a line of carets under the range
+  excerpt(input) {
+    if (this.start == null) return '';
+    const line_start = this.start > 0 ? input.lastIndexOf('\n', this.start - 1) + 1 : 0;
+    let line_end = input.indexOf('\n', this.start);
+    if (line_end < 0) line_end = input.length;
+    const width = Math.max(1, Math.min(this.end, line_end) - this.start);
+    return input.substring(line_start, line_end) + '\n' +
+           ' '.repeat(this.start - line_start) + '^'.repeat(width);
+  }
+
+  toString() {
+    if (this.line == null) return this.message;
+    return 'Line ' + this.line + ', column ' + this.column + ': ' + this.message;
   }
 }
  
-// Main function to tokenize an input string into an array of Token objects
+// Main function to tokenize an input string into an array of Token objects.
+// Macro definitions and calls (see macros.js) are expanded first.
 export function tokenize(input) {
+  const expansion = expandMacros(input);
+  if (expansion == null) return tokenizeText(input);
+  let tokens = null;
+  try {
+    tokens = tokenizeText(expansion.text);
+  } catch (err) {
+    if (err instanceof ParseError) mapToSource(input, expansion, err);
+    throw err;
+  }
+  tokens.forEach(token => mapToSource(input, expansion, token));
+  return tokens;
+}
+
+// Point a token or error at the input the expanded text came from
+function mapToSource(input, expansion, item) {
+  if (item.start == null) return;
+  const start = item.start < expansion.starts.length ? expansion.starts[item.start] : input.length;
+  const last = Math.max(item.start, item.end - 1);
+  const end = last < expansion.ends.length ? expansion.ends[last] : input.length;
+  if (item instanceof Token) item.macro = expansion.macros[item.start] || null;
+  item.start = start;
+  item.end = Math.max(start, end);
+  [item.line, item.column] = lineAndColumn(input, start);
+}
+
+function tokenizeText(input) {
   // List of parser functions to try in order
   const parsers = [
     skipWhitespace,         // Skip whitespace
     parseControlCharacters, // Parse brackets, sub/superscript, etc.
     parseArrows,            // Parse arrow tokens
+    parseStyle,             // Parse style blocks
+    parseGloss,             // Parse glosses and translations
+    parseAvm,               // Parse attribute-value matrices
     parseNumber,            // Parse numbers
+    parseEmpty,             // Parse traces and empty categories
     parseString,            // Parse unquoted strings
     parseQuotedString       // Parse quoted strings
   ];
 
   const tokens = [];
   let offset = 0;
+  let line = 1;
+  let line_start = 0;
 
   // Main loop: try each parser in order until one matches, then advance
   while (offset < input.length) {
     const now_serving = offset;
 
     for (const parse_fn of parsers) {
-      const [token, consumed] = parse_fn(input.substring(offset));
+      let token = null;
+      let consumed = 0;
+      try {
+        [token, consumed] = parse_fn(input.substring(offset), tokens, offset);
+      } catch (err) {
+        throw ParseError.atOffset(input, offset, input.length, err);
+      }
+      if (token != null) {
+        token.start = offset;
+        token.end = offset + consumed;
+        token.line = line;
+        token.column = offset - line_start + 1;
+        tokens.push(token);
+      }
+      // Keep track of line breaks in everything consumed, tokens included
+      for (let i = offset; i < offset + consumed; ++i) {
+        if (input.charAt(i) === '\n') {
+          ++line;
+          line_start = i + 1;
+        }
+      }
       offset += consumed;
-      if (token != null) tokens.push(token);
       if (offset >= input.length) break;
     }
 
     // If no parser consumed input, throw an error
     if (offset === now_serving)
-      throw 'Unable to parse [' + input.substring(offset) + '] ...';
+      throw ParseError.atOffset(input, offset, offset + 1,
+                                'Unable to parse [' + input.substring(offset) + '] ...');
   }
 
   return tokens;
 }
 
+// Format a label so that it reads back as the same label: plain words are
+// kept as they are, anything else is put in double quotes. Leaf labels may
+// consist of several words without quotes.
+export function quoteIfNeeded(label, multiword = false) {
+  const text = String(label);
+  let tokens = null;
+  try {
+    tokens = tokenize(text);
+  } catch (err) {
+    return quote(text);
+  }
+  // An @ or | would end a node label or script and name or style the node
+  if (!multiword && /[@|]/.test(text)) return quote(text);
+  const plain = tokens.length > 0 &&
+                tokens.every(token => token.type === TokenType.STRING) &&
+                (multiword || tokens.length === 1) &&
+                tokens.map(token => token.value).join(' ') === text;
+  return plain ? text : quote(text);
+}
+
+// Put text in double quotes, escaping quotes and backslashes in it
+export function quote(text) {
+  return '"' + String(text).replace(/[\\"]/g, '\\$&') + '"';
+}
+
+// Put text in backticks as a gloss, escaping backticks and backslashes in it
+export function quoteGloss(text) {
+  return '`' + String(text).replace(/[\\`]/g, '\\$&') + '`';
+}
+
+// Helper: 1-based line and column of a character offset
+function lineAndColumn(input, offset) {
+  const before = input.substring(0, offset);
+  const line = before.split('\n').length;
+  return [line, offset - (before.lastIndexOf('\n') + 1) + 1];
+}
+
 // Helper: check if character is whitespace
 function isWhitespace(ch) {
   const whitespace = [' ', '\b', '\f', '\n', '\r', '\t', '\v'];
@@ -64,10 +210,44 @@ function isWhitespace(ch) {
 
 // Helper: check if character is a control character (brackets, quotes, etc.)
 function isControlCharacter(ch) {
-  const control_chars = ['[', ']', '^', '_', '"'];
+  const control_chars = ['[', ']', '^', '_', '"', '`'];
   return control_chars.includes(ch);
 }
 
+// Characters that stand for themselves after a backslash. Other backslashes
+// are kept as they are, so \n still breaks a label into lines.
+const ESCAPED_CHARS = ['[', ']', '_', '^', '"', '`', '$', '\\'];
+
+// Helper: decode the backslash escape at the start of input: \[ \] \_ \^
+// \" \` \$ \\ or a code point \u{1F600}. Returns [text, consumed].
+function parseEscape(input) {
+  const ch = input.charAt(1);
+  if (ESCAPED_CHARS.includes(ch)) return [ch, 2];
+  if (ch !== 'u' || input.charAt(2) !== '{') return ['\\', 1];
+  const match = /^\\u\{([0-9a-fA-F]{1,6})\}/.exec(input);
+  const code = match ? parseInt(match[1], 16) : -1;
+  if (code < 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF))
+    throw 'Invalid code point. Expected \\u{hex digits} up to \\u{10FFFF}';
+  return [String.fromCodePoint(code), match[0].length];
+}
+
+// Helper: read input from start up to the first index where stop(index)
+// holds, decoding backslash escapes on the way. Returns [text, end].
+function readEscaped(input, start, stop) {
+  let text = '';
+  let i = start;
+  while (i < input.length && !stop(i)) {
+    if (input.charAt(i) === '\\') {
+      const [decoded, length] = parseEscape(input.substring(i));
+      text += decoded;
+      i += length;
+    } else {
+      text += input.charAt(i++);
+    }
+  }
+  return [text, i];
+}
+
 // Helper: check if character is a digit
 function isNumber(ch) {
   return ch >= '0' && ch <= '9';
@@ -80,15 +260,70 @@ function skipWhitespace(input) {
   return [null, consumed];
 }
 
-// Parser: parse control characters ([, ], ^, _, etc.)
-function parseControlCharacters(input) {
+// Parser: parse control characters ([, ], ^, _, @, etc.). An @ names a
+// node only right after the node's label, as in [DP@subj, or after an
+// arrow; anywhere else, as in [N a@b], it is part of the word.
+function parseControlCharacters(input, tokens, offset) {
   if (input.charAt(0) === '_') return [new Token(TokenType.SUBSCRIPT_PREFIX), 1];
   if (input.charAt(0) === '^') return [new Token(TokenType.SUPERSCRIPT_PREFIX), 1];
   if (input.charAt(0) === '[') return [new Token(TokenType.BRACKET_OPEN), 1];
   if (input.charAt(0) === ']') return [new Token(TokenType.BRACKET_CLOSE), 1];
+  if (startsId(input, tokens, offset)) return [new Token(TokenType.ID_PREFIX), 1];
   return [null, 0];
 }
 
+// Helper: whether input starts with the @ of a node name
+function startsId(input, tokens, offset) {
+  return input.charAt(0) === '@' && (afterArrow(tokens) || afterNodeLabel(tokens, offset));
+}
+
+// Helper: whether the last token is an arrow
+function afterArrow(tokens) {
+  const last = tokens[tokens.length - 1];
+  return last != null && [TokenType.ARROW_TO, TokenType.ARROW_FROM, TokenType.ARROW_BOTH,
+                          'ARROW_DOTTED_TO'].includes(last.type);
+}
+
+// Helper: whether offset directly follows the label of a node, its scripts
+// or its style block, as the @ in [DP_i|bold|@x
+function afterNodeLabel(tokens, offset) {
+  const last = tokens[tokens.length - 1];
+  return last != null && last.end === offset && inNodeHeader(tokens) &&
+         last.type !== TokenType.BRACKET_OPEN && !isScriptPrefix(last);
+}
+
+// Helper: whether the tokens end in the label part of a node: [ followed
+// by the label, scripts, glosses and style blocks read so far
+function inNodeHeader(tokens) {
+  let i = tokens.length - 1;
+  while (i >= 1) {
+    if (isScriptPrefix(tokens[i]) || tokens[i].type === TokenType.GLOSS ||
+        tokens[i].type === TokenType.STYLE) {
+      --i;
+    } else if (isScriptPrefix(tokens[i - 1])) {
+      i -= 2;
+    } else {
+      break;
+    }
+  }
+  if (i < 0) return false;
+  if (tokens[i].type === TokenType.BRACKET_OPEN) return true;
+  return i >= 1 && tokens[i - 1].type === TokenType.BRACKET_OPEN &&
+         [TokenType.STRING, TokenType.QUOTED_STRING, TokenType.EMPTY].includes(tokens[i].type);
+}
+
+function isScriptPrefix(token) {
+  return token.type === TokenType.SUBSCRIPT_PREFIX || token.type === TokenType.SUPERSCRIPT_PREFIX;
+}
+
+// Helper: whether a word read next is a node label or one of its scripts,
+// which end at an @
+function readingNodeLabel(tokens) {
+  const last = tokens[tokens.length - 1];
+  return last != null && (last.type === TokenType.BRACKET_OPEN || isScriptPrefix(last)) &&
+         inNodeHeader(tokens);
+}
+
 // Parser: parse arrow tokens (->, <-, <>, .>)
 function parseArrows(input) {
   if (input.length > 1) {
@@ -115,17 +350,20 @@ function parseNumber(input) {
   }
 }
 
-// Parser: parse an unquoted string (until whitespace or control char)
-function parseString(input) {
-  let consumed = 0;
-  while (consumed < input.length &&
-         !isWhitespace(input.charAt(consumed)) &&
-         !isControlCharacter(input.charAt(consumed))) {
-    ++consumed;
-  }
+// Parser: parse an unquoted string (until whitespace, control char or &[,
+// or an @ after a node label, or the style block of the word). Backslash
+// escapes are decoded, so N\_bar is the label N_bar.
+function parseString(input, tokens, offset) {
+  if (startsId(input, tokens, offset) || parseStyle(input, tokens, offset)[0] != null)
+    return [null, 0];
+  const label = readingNodeLabel(tokens);
+  const [value, consumed] = readEscaped(input, 0, i =>
+    isWhitespace(input.charAt(i)) || isControlCharacter(input.charAt(i)) ||
+    input.startsWith('&[', i) || (label && input.charAt(i) === '@') ||
+    (i > 0 && styleBlockLength(input.substring(i), label) > 0));
   if (consumed > 0) {
     return [
-      new Token(TokenType.STRING, input.substring(0, consumed)),
+      new Token(TokenType.STRING, value),
       consumed
     ];
   } else {
@@ -133,15 +371,101 @@ function parseString(input) {
   }
 }
 
-// Parser: parse a quoted string ("...")
+// Parser: parse a trace or empty category (~, ~t, ~t:wh). The token value
+// is the text after the ~, up to whitespace or a control char. A ~ inside
+// a word (a~b) is part of an ordinary string.
+function parseEmpty(input, tokens) {
+  if (input.charAt(0) !== '~') return [null, 0];
+  const label = readingNodeLabel(tokens);
+  const [value, consumed] = readEscaped(input, 1, i =>
+    isWhitespace(input.charAt(i)) || isControlCharacter(input.charAt(i)) ||
+    (label && input.charAt(i) === '@') || styleBlockLength(input.substring(i), label) > 0);
+  return [new Token(TokenType.EMPTY, value), consumed];
+}
+
+// Parser: parse a style block (|...|) right after a label, its scripts or
+// glosses. The token value is the text between the bars.
+function parseStyle(input, tokens, offset) {
+  const last = tokens[tokens.length - 1];
+  if (input.charAt(0) !== '|' || last == null || last.end !== offset ||
+      ![TokenType.STRING, TokenType.QUOTED_STRING, TokenType.EMPTY, TokenType.NUMBER,
+        TokenType.GLOSS].includes(last.type))
+    return [null, 0];
+  const length = styleBlockLength(input, afterNodeLabel(tokens, offset));
+  if (length === 0) return [null, 0];
+  return [new Token(TokenType.STYLE, input.substring(1, length - 1)), length];
+}
+
+// Style flags and colors that can appear in a |...| block. head does not
+// change the look, it marks the head child for dependency conversion.
+export const STYLE_FLAGS = ['bold', 'italic', 'box', 'strike', 'head'];
+export const STYLE_COLORS = ['color', 'fill', 'stroke'];
+
+// Split the text of a style block into [item, key, value] triples. Items
+// are separated by spaces or semicolons outside parentheses, so a color
+// such as rgb(1, 2, 3) stays whole; colors are written key=value or
+// key:value, flags have no value.
+export function splitStyle(text) {
+  return (text.match(/(?:\([^)]*\)?|[^\s;(])+/g) || []).map(item => {
+    const match = /^([^=:]*)[=:](.*)$/.exec(item);
+    return match ? [item, match[1], match[2]] : [item, item, null];
+  });
+}
+
+// Helper: length of the |...| block at the start of input, or 0 if there is
+// none. The closing bar must come before the next bracket or line break. A
+// block after a node label is always read as a style, after a word only if
+// every item in it is a known style, so a|b| stays a word.
+function styleBlockLength(input, strict) {
+  if (input.charAt(0) !== '|') return 0;
+  const match = /^\|([^|\[\]\n]*)\|/.exec(input);
+  if (!match) return 0;
+  if (!strict && !splitStyle(match[1]).every(([item, key, value]) =>
+      value == null ? STYLE_FLAGS.includes(key) : value !== '' && STYLE_COLORS.includes(key)))
+    return 0;
+  return match[0].length;
+}
+
+// Parser: parse a gloss (`...`), decoding backslash escapes such as \` in
+// it. The token value is the text between the backticks.
+function parseGloss(input) {
+  if (input.charAt(0) !== '`') return [null, 0];
+  const [value, consumed] = readEscaped(input, 1, i => input.charAt(i) === '`');
+  if (input.charAt(consumed) !== '`')
+    throw 'Unterminated gloss. Missing closing `';
+  return [new Token(TokenType.GLOSS, value), consumed + 1];
+}
+
+// Parser: parse an attribute-value matrix (&[...]). The token value is the
+// bracketed text after the &, nested brackets and quoted strings (which may
+// contain \") included.
+function parseAvm(input) {
+  if (!input.startsWith('&[')) return [null, 0];
+  let depth = 0;
+  for (let i = 1; i < input.length; ++i) {
+    const ch = input.charAt(i);
+    if (ch === '"') {
+      const match = /^"(?:[^"\\]|\\.)*"/.exec(input.substring(i));
+      if (!match) break;
+      i += match[0].length - 1;
+    } else if (ch === '[') {
+      ++depth;
+    } else if (ch === ']' && --depth === 0) {
+      return [new Token(TokenType.AVM, input.substring(1, i + 1)), i + 1];
+    }
+  }
+  throw 'Unterminated feature structure. Missing closing ]';
+}
+
+// Parser: parse a quoted string ("..."), decoding backslash escapes such
+// as \" in it
 function parseQuotedString(input) {
   if (input.charAt(0) !== '"') return [null, 0];
-  let consumed = 1;
-  while (consumed < input.length && input.charAt(consumed) !== '"') ++consumed;
+  const [value, consumed] = readEscaped(input, 1, i => input.charAt(i) === '"');
   if (input.charAt(consumed) !== '"')
-    throw 'Unterminated quoted string. Missing " after [' + input + ']';
+    throw 'Unterminated quoted string. Missing closing "';
   return [
-    new Token(TokenType.QUOTED_STRING, input.substring(1, consumed)),
+    new Token(TokenType.QUOTED_STRING, value),
     consumed + 1
   ];
 }
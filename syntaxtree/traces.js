@@ -0,0 +1,86 @@
+// Traces, copies and empty categories. In bracket notation they are written
+// with a leading ~: ~t, ~PRO, a bare ~ for ∅, or a whole struck-out copy
+// [~DP ...]. ~t:wh links the trace to its antecedent, the node named @wh (or
+// the node already subscripted wh). Linked nodes can be co-indexed with
+// matching subscripts and joined by an arrow.
+
+'use strict';
+
+import * as Parser from './parser.js';
+
+// How empty elements are rendered
+export const EmptyStyle = {
+  GREY: 'grey',
+  STRIKE: 'strike',
+  ANGLE: 'angle'
+};
+
+// Letters handed out as co-indices, in order
+const INDEX_LETTERS = ['i', 'j', 'k', 'l', 'm', 'n'];
+
+// Label of an empty element as displayed: in angle brackets for the angle
+// style, unchanged otherwise
+export function emptyLabel(label, style) {
+  return style === EmptyStyle.ANGLE ? '⟨' + label + '⟩' : label;
+}
+
+// Nodes drawn as empty: those written with ~ and everything inside them
+export function emptyNodes(syntax_tree) {
+  const nodes = new Set();
+  const visit = (node, inside) => {
+    const empty = inside || !!node.empty;
+    if (empty) nodes.add(node);
+    if (node.type !== Parser.NodeType.VALUE) node.values.forEach(child => visit(child, empty));
+  };
+  visit(syntax_tree, false);
+  return nodes;
+}
+
+// Link every trace to its antecedent. Returns
+//   indices     - Map from node to the co-index it should show as subscript
+//                 (only for nodes without a subscript of their own)
+//   antecedents - Map from trace to antecedent node
+// A trace and its antecedent share the antecedent's subscript if it has one,
+// otherwise the next free letter i, j, k, ... A link that names no node is
+// used as the index itself, so ~t:i shows t with subscript i.
+export function coindex(syntax_tree) {
+  const nodes = [];
+  collectNodes(syntax_tree, nodes);
+  const ids = new Map();
+  const subscripts = new Map();
+  nodes.forEach(node => {
+    if (node.id && !ids.has(node.id)) ids.set(node.id, node);
+    if (node.subscript && !node.empty && !subscripts.has(node.subscript))
+      subscripts.set(node.subscript, node);
+  });
+
+  const used = new Set(nodes.map(node => node.subscript).filter(s => s));
+  const letters = INDEX_LETTERS.filter(letter => !used.has(letter));
+  let next = 0;
+  const nextIndex = () => next < letters.length
+    ? letters[next++]
+    : INDEX_LETTERS[0] + (next++ - letters.length + 2);
+
+  const indices = new Map();
+  const antecedents = new Map();
+  nodes.forEach(node => {
+    if (!node.empty || !node.link) return;
+    const antecedent = ids.get(node.link) || subscripts.get(node.link);
+    let index = node.link;
+    if (antecedent && antecedent !== node) {
+      antecedents.set(node, antecedent);
+      index = antecedent.subscript || indices.get(antecedent);
+      if (!index) {
+        index = nextIndex();
+        indices.set(antecedent, index);
+      }
+    }
+    if (!node.subscript) indices.set(node, index);
+  });
+  return {indices: indices, antecedents: antecedents};
+}
+
+function collectNodes(node, nodes) {
+  if (node.type !== Parser.NodeType.ROOT) nodes.push(node);
+  if (node.type !== Parser.NodeType.VALUE) node.values.forEach(child => collectNodes(child, nodes));
+}
@@ -6,9 +6,17 @@
 'use strict';
 
 const NODE_PADDING = 20; // Padding around node labels
+const AVM_SCALE = 0.75;  // Font size of feature structures relative to labels
+const GLOSS_SCALE = 0.85; // Font size of glosses and translations relative to labels
 
 import Canvas from './canvas.js';
+import SvgCanvas from './svgcanvas.js';
 import * as Parser from './parser.js';
+import { THEMES, DEFAULT_THEME } from './themes.js';
+import * as Traces from './traces.js';
+import { measureAvm, drawAvm } from './avm.js';
+import { graphemes, truncate } from './unicode.js';
+import { measureMarkup, drawMarkup, escapeMarkup } from './markup.js';
 
 // Main class for drawing and managing a syntax tree
 export default class Tree {
@@ -20,44 +28,194 @@ export default class Tree {
     this.alignment = 0;      // Tree alignment mode
     this.canvas = null;      // Canvas instance
     this.vscaler = 1;        // Vertical scaling factor
+    this.selection = null;   // Source offset (start) of the selected node
+    this.layout = 'compact'; // 'compact' packs subtrees, 'wide' sums child widths
+    this.theme = THEMES[DEFAULT_THEME]; // Colors, see themes.js
+    this.background = false; // Fill the canvas with the theme background
+    this.emptyStyle = Traces.EmptyStyle.GREY; // How traces and empty elements look
+    this.coindex = true;     // Co-index traces and their antecedents
+    this.traceArrows = false; // Draw an arrow from each trace to its antecedent
   }
 
   // Resize the canvas to fit the tree
   resizeCanvas(w, h) {
     this.canvas.resize(w, h+50);
-    this.canvas.translate(0, canvas.fontsize / 2);
+    this.canvas_height = h + 50;
+    this.offset_y = this.canvas.fontsize / 2;
+    this.canvas.translate(0, this.offset_y);
   }
  
   // Draw the syntax tree from a parsed tree object
   draw(syntax_tree) {
     if (this.canvas == null) throw 'Canvas must be set first.';
+    this.syntax_tree = syntax_tree; // Kept for re-rendering to other targets
+    this.sentence = null;
 
-    const drawables = drawableFromNode(this.canvas, syntax_tree);
+    const links = Traces.coindex(syntax_tree);
+    const traces = {
+      style: this.emptyStyle,
+      empty: Traces.emptyNodes(syntax_tree),
+      indices: this.coindex ? links.indices : new Map()
+    };
+    const drawables = drawableFromNode(this.canvas, syntax_tree, -1, false, traces);
+    if (this.traceArrows) addTraceArrows(drawables, links.antecedents);
     const max_depth = getMaxDepth(drawables);
-    if (this.alignment > 0) moveLeafsToBottom(drawables, max_depth);
-    if (this.alignment > 1) moveParentsDown(drawables);
+    // Glosses are lined up under the words, so they need the leaves aligned
+    const gloss_rows = getGlossRows(drawables);
+    const alignment = gloss_rows.count > 0 ? Math.max(this.alignment, 1) : this.alignment;
+    if (alignment > 0) moveLeafsToBottom(drawables, max_depth);
+    if (alignment > 1) moveParentsDown(drawables);
     if (this.subscript) calculateAutoSubscript(drawables);
 
-    const has_arrow = calculateDrawablePositions(this.canvas, drawables, this.vscaler);
-    const arrowSet = makeArrowSet(drawables, this.fontsize);
-    const arrowScaler = Math.pow((Math.sqrt(arrowSet.maxBottom) / arrowSet.maxBottom), 1 / 50);
+    const tops = getRowTops(drawables, max_depth, this.fontsize,
+                            this.canvas.fontsize * 3 * this.vscaler,
+                            gloss_rows.count * getGlossLineHeight(this.fontsize));
+    const has_arrow = this.layout === 'wide'
+      ? calculateDrawablePositions(this.canvas, drawables, tops)
+      : calculateCompactPositions(this.canvas, drawables, tops);
+    // Arrows go over the tree when the space under the words holds glosses
+    const arrowSet = makeArrowSet(this.canvas, drawables, this.fontsize, this.triangles,
+                                  gloss_rows.count > 0 ? [true] : [false, true]);
+    // Arrows routed over the tree: move everything down to make room
+    const lift = -arrowSet.minTop;
+    if (lift > 0) {
+      shiftDown(drawables, lift);
+      arrowSet.shift(lift);
+    }
 
     this.resizeCanvas(
       drawables.width + 1,
-      Math.max((max_depth + 1) * (this.fontsize * this.vscaler * 3),
-               has_arrow ? arrowSet.maxBottom * arrowScaler : 0)
+      Math.max(tops[max_depth + 1] - NODE_PADDING / 2 + lift,
+               has_arrow ? arrowSet.maxBottom + this.fontsize : 0)
     );
 
+    if (this.background) this.drawBackground(drawables.width + 1);
     drawables.children.forEach(child => this.drawNode(child));
+    if (gloss_rows.count > 0) this.drawGlosses(drawables, gloss_rows.tiers);
+    this.drawArrows(arrowSet.arrows);
+    this.drawables = drawables; // Kept for hit-testing
+    this.arrows = arrowSet.arrows; // Kept for inspection, e.g. by tests
+  }
+
+  // Draw the gloss tiers of the words on shared rows under the leaves, tier
+  // by tier, and the translation of each tree on the row after them
+  drawGlosses(drawables, tiers) {
+    const line_height = getGlossLineHeight(this.fontsize);
+    const top = getGlossTop(drawables, this.fontsize);
+    this.canvas.setFontSize(this.fontsize * GLOSS_SCALE);
+    this.canvas.setFillStyle(this.theme.text);
+    const visit = (drawable) => {
+      if (drawable.is_leaf) {
+        drawable.glosses.forEach((gloss, i) => {
+          drawMarkup(this.canvas, gloss, getDrawableCenter(drawable), top + i * line_height,
+                     this.theme.text);
+        });
+      }
+      drawable.children.forEach(visit);
+    };
+    visit(drawables);
+    drawables.children.filter(tree => tree.translation).forEach(tree => {
+      const text = getTranslationText(tree.translation);
+      const width = measureMarkup(this.canvas, text);
+      // Left-aligned under the first word, as long as it fits under the tree
+      const first = findDrawable(tree, drawable => drawable.is_leaf) || tree;
+      const left = Math.min(getDrawableCenter(first) - first.labelWidth / 2 + NODE_PADDING / 2,
+                            tree.left + tree.width - NODE_PADDING / 2 - width);
+      drawMarkup(this.canvas, text, left + width / 2, top + tiers * line_height, this.theme.text);
+    });
+    this.canvas.setStrokeStyle(this.theme.connector);
+    this.canvas.setFontSize(this.fontsize);
+  }
+
+  // Draw a dependency parse (see dependency.js): the words on one line with
+  // labelled arcs from each head to its dependents routed above them, and
+  // an arrow coming down onto the root
+  drawDependencies(sentence) {
+    if (this.canvas == null) throw 'Canvas must be set first.';
+    this.syntax_tree = null;
+    this.sentence = sentence; // Kept for re-rendering to other targets
+
+    const drawables = drawableFromSentence(this.canvas, sentence);
+    const words = drawables.children;
+    const requests = [];
+    sentence.tokens.forEach((token, i) => {
+      if (token.head === 0) return;
+      const label = token.deprel && token.deprel !== '_' ? token.deprel : null;
+      requests.push({
+        from: words[token.head - 1],
+        to: words[i],
+        arrow: {ends: {to: true, from: false}, target: null, label: label, dotted: false}
+      });
+    });
+    const obstacles = {boxes: collectLabelBoxes(this.canvas, drawables, this.fontsize, []),
+                       segments: []};
+    const arrowSet = routeArrows(this.canvas, requests, obstacles, this.fontsize, [true]);
+
+    // The root arrow comes straight down from above the highest arc
+    sentence.tokens.forEach((token, i) => {
+      if (token.head !== 0) return;
+      const to = getArrowTop(words[i]);
+      const from_y = arrowSet.minTop - this.fontsize * 1.5;
+      const arrow = new Arrow(to.x, from_y, to.x, to.y, (from_y + to.y) / 2, true, false,
+                              'root', false);
+      arrow.above = true;
+      arrow.label_x = to.x;
+      arrow.label_y = from_y - 2 - this.fontsize * 0.75;
+      arrow.outer = arrow.label_y;
+      arrowSet.add(arrow);
+    });
+    const lift = -arrowSet.minTop + NODE_PADDING / 2;
+    shiftDown(drawables, lift);
+    arrowSet.shift(lift);
+
+    this.resizeCanvas(drawables.width + 1,
+                      Math.max(...words.map(word => getArrowAnchor(word, this.fontsize).y)) +
+                      this.fontsize);
+    if (this.background) this.drawBackground(drawables.width + 1);
+    words.forEach(word => this.drawNode(word));
     this.drawArrows(arrowSet.arrows);
+    this.drawables = drawables; // Kept for hit-testing
+    this.arrows = arrowSet.arrows; // Kept for inspection, e.g. by tests
+  }
+
+  // Draw the last tree or dependency parse again
+  redraw() {
+    if (this.sentence != null) this.drawDependencies(this.sentence);
+    else if (this.syntax_tree != null) this.draw(this.syntax_tree);
+  }
+
+  // Find the node whose label is at canvas pixel (x, y), or null
+  nodeAt(x, y) {
+    if (!this.drawables) return null;
+    return findDrawable(this.drawables, (drawable) => {
+      const box = this.labelBox(drawable);
+      return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+    });
+  }
+
+  // Bounding box of a node label in canvas pixels
+  labelBox(drawable) {
+    const box = getLabelRect(this.canvas, drawable, this.fontsize);
+    box.y += this.offset_y;
+    return box;
+  }
+
+  // Highlight the node starting at the given source offset (null to clear)
+  setSelection(start) {
+    this.selection = start;
   }
 
-  // Recursively draw a node and its children
-  drawNode(drawable) {
+  // Recursively draw a node and its children. Of the nodes a macro call
+  // wrote, which all start where the call does, only the outermost is
+  // outlined when selected.
+  drawNode(drawable, selected_above = false) {
     this.drawLabel(drawable);
     this.drawSubscript(drawable);
+    if (drawable.recovered) this.drawRecoveredOutline(drawable);
+    const selected = this.selection != null && drawable.node.start === this.selection;
+    if (selected && !selected_above) this.drawSelectionOutline(drawable);
     drawable.children.forEach(child => {
-      this.drawNode(child);
+      this.drawNode(child, selected);
       this.drawConnector(drawable, child);
     });
   }
@@ -65,26 +223,38 @@ export default class Tree {
   // Draw the label and features for a node
   drawLabel(drawable) {
     this.canvas.setFontSize(this.fontsize); // Set font size for label
-    // Choose color: red for leaf, blue for non-leaf, black if color disabled
-    const color = this.nodecolor ? (drawable.is_leaf ? '#CC0000' : '#0000CC') : 'black';
+    const style = drawable.style;
+    const color = this.labelColor(drawable);
+    const feature_color = this.nodecolor ? this.theme.feature : this.theme.text;
+    this.drawLabelBox(drawable, color);
     this.canvas.setFillStyle(color);
+    this.canvas.setFontStyle(getFontStyle(style));
     // Support multi-line labels (split on \n)
     const labelLines = String(drawable.label).split(/\\n|\n/);
     const lineHeight = this.fontsize * 1.1;
     const centerX = getDrawableCenter(drawable);
     let baseY = drawable.top + 2;
     labelLines.forEach((line, i) => {
-      this.canvas.text(line, centerX, baseY + i * lineHeight);
+      drawMarkup(this.canvas, line, centerX, baseY + i * lineHeight, color);
+      this.canvas.setStrokeStyle(this.theme.connector);
+      if (style.strike || (drawable.empty && this.emptyStyle === Traces.EmptyStyle.STRIKE)) {
+        const half = measureMarkup(this.canvas, line) / 2;
+        const y = baseY + i * lineHeight + this.fontsize * 0.5;
+        this.canvas.setStrokeStyle(style.stroke || color);
+        this.canvas.line(centerX - half, y, centerX + half, y);
+        this.canvas.setStrokeStyle(this.theme.connector);
+      }
     });
+    this.canvas.setFontStyle('');
     // Draw case feature below the label if present, but only for leaf nodes
     let labelBlockHeight = labelLines.length * lineHeight;
     if (drawable.is_leaf && drawable.caseFeature) {
       let caseText = '[' + drawable.caseFeature.slice(1, -1) + ']';
-      if (caseText.length > 100) {
-        caseText = caseText.slice(0, 100) + '…]'; // Truncate long case features
+      if (graphemes(caseText).length > 100) {
+        caseText = truncate(caseText, 100) + ']'; // Truncate long case features
       }
       this.canvas.setFontSize(this.fontsize * 0.7); // Smaller font for case
-      this.canvas.setFillStyle('#0000CC'); // Blue for case feature
+      this.canvas.setFillStyle(feature_color);
       this.canvas.text(caseText, centerX, baseY + labelBlockHeight);
       this.canvas.setFontSize(this.fontsize); // Restore font size
       this.canvas.setFillStyle(color); // Restore color
@@ -95,7 +265,9 @@ export default class Tree {
     if (drawable.features && drawable.features.length > 0) {
       const featText = '[' + drawable.features.join(', ') + ']';
       this.canvas.setFontSize(this.fontsize * 0.65); // Smaller font for features
+      this.canvas.setFillStyle(feature_color);
       this.canvas.text(featText, centerX, baseY + yOffset);
+      this.canvas.setFillStyle(color);
       // Draw arrows from features if they have ->N or .>N after them
       drawable.features.forEach((feat, i) => {
         // Check for arrow syntax in feature: e.g. +PAST->1 or +PAST.>2
@@ -125,40 +297,104 @@ export default class Tree {
       });
       this.canvas.setFontSize(this.fontsize); // Restore font size
     }
+    // Draw the feature structure below everything else
+    if (drawable.avm) {
+      this.canvas.setFillStyle(feature_color);
+      this.canvas.setStrokeStyle(feature_color);
+      drawAvm(this.canvas, drawable.avm, drawable.avmSize, centerX - drawable.avmSize.width / 2,
+              drawable.top + getLabelHeight(drawable, this.fontsize),
+              this.fontsize * AVM_SCALE);
+      this.canvas.setFillStyle(color);
+      this.canvas.setStrokeStyle(this.theme.connector);
+    }
+  }
+
+  // Color of a label: the node's own style, else the theme's leaf or node
+  // color, or its plain text color if color is disabled
+  labelColor(drawable) {
+    const grey = drawable.empty && this.emptyStyle === Traces.EmptyStyle.GREY;
+    return drawable.style.color || (grey ? this.theme.empty : null) ||
+           (this.nodecolor ? (drawable.is_leaf ? this.theme.leaf : this.theme.node)
+                           : this.theme.text);
   }
 
-  // Draw subscript or superscript for a node label
+  // Draw the subscript and superscript of a node label, stacked on top of
+  // each other when the label has both
   drawSubscript(drawable) {
     if (!drawable.subscript && !drawable.superscript) return;
     // Offset to the right of the label
-    let offset = 1 + getDrawableCenter(drawable) + this.canvas.textWidth(drawable.label) / 2;
+    this.canvas.setFontStyle(getFontStyle(drawable.style));
+    const left = 1 + getDrawableCenter(drawable) + measureMarkup(this.canvas, drawable.label) / 2;
+    this.canvas.setFontStyle('');
     this.canvas.setFontSize(this.fontsize * 3 / 4); // Smaller font for sub/superscript
+    const color = this.labelColor(drawable);
     if (drawable.subscript) {
-      offset += this.canvas.textWidth(drawable.subscript) / 2;
-      this.canvas.text(drawable.subscript, offset, drawable.top + this.fontsize / 2);
-    } else {
-      offset += this.canvas.textWidth(drawable.superscript) / 2;
-      this.canvas.text(drawable.superscript, offset, drawable.top);
+      const width = measureMarkup(this.canvas, drawable.subscript);
+      drawMarkup(this.canvas, drawable.subscript, left + width / 2,
+                 drawable.top + this.fontsize / 2, color);
+    }
+    if (drawable.superscript) {
+      const width = measureMarkup(this.canvas, drawable.superscript);
+      drawMarkup(this.canvas, drawable.superscript, left + width / 2, drawable.top, color);
     }
+    this.canvas.setStrokeStyle(this.theme.connector);
     this.canvas.setFontSize(this.fontsize); // Restore font size
   }
 
+  // Draw the background fill and box of a styled label
+  drawLabelBox(drawable, color) {
+    const style = drawable.style;
+    if (!style.fill && !style.box) return;
+    const box = getLabelRect(this.canvas, drawable, this.fontsize);
+    if (style.fill) {
+      this.canvas.setFillStyle(style.fill);
+      this.canvas.setStrokeStyle(style.box ? style.stroke || color : style.fill);
+      this.canvas.rect(box.x, box.y, box.width, box.height, true);
+    } else {
+      this.canvas.setStrokeStyle(style.stroke || color);
+      this.canvas.rect(box.x, box.y, box.width, box.height);
+    }
+    this.canvas.setStrokeStyle(this.theme.connector);
+  }
+
+  // Draw a dashed outline around a node the parser had to repair
+  drawRecoveredOutline(drawable) {
+    const width = getLabelWidth(this.canvas, drawable) + NODE_PADDING / 2;
+    this.canvas.setStrokeStyle('#999');
+    this.canvas.setLineDash([3, 3]);
+    this.canvas.rect(getDrawableCenter(drawable) - width / 2, drawable.top - 3,
+                     width, this.fontsize + 4);
+    this.canvas.setLineDash([]);
+    this.canvas.setStrokeStyle(this.theme.connector);
+  }
+
+  // Draw a solid outline around the selected node
+  drawSelectionOutline(drawable) {
+    const box = this.labelBox(drawable);
+    this.canvas.setStrokeStyle('#3eb5f0');
+    this.canvas.setLineWidth(2);
+    this.canvas.rect(box.x, box.y - this.offset_y, box.width, box.height);
+    this.canvas.setLineWidth(1);
+    this.canvas.setStrokeStyle(this.theme.connector);
+  }
+
   // Draw a connector (line or triangle) between parent and child
   drawConnector(parent, child) {
+    this.canvas.setStrokeStyle(this.theme.connector);
     // If triangles enabled and child is a leaf with spaces, draw triangle
     if (this.triangles && child.is_leaf && child.label.includes(' ')) {
       // Only use the width of the first line before the first \n for triangle sizing
       const firstLine = String(child.label).split(/\\n|\n/)[0];
-      const text_width = this.canvas.textWidth(firstLine);
+      const text_width = measureMarkup(this.canvas, firstLine);
       this.canvas.triangle(
-        getDrawableCenter(parent), parent.top + this.fontsize + 2,
+        getDrawableCenter(parent), getConnectorTop(parent, this.fontsize),
         getDrawableCenter(child) + (text_width / 2) - 4, child.top - 3,
         getDrawableCenter(child) - (text_width / 2) + 4, child.top - 3
       );
     } else {
       // Otherwise, draw a straight line
       this.canvas.line(
-        getDrawableCenter(parent), parent.top + this.fontsize + 2,
+        getDrawableCenter(parent), getConnectorTop(parent, this.fontsize),
         getDrawableCenter(child), child.top - 3
       );
     }
@@ -166,21 +402,8 @@ export default class Tree {
 
   // Draw all arrows (movement, dependencies, etc.)
   drawArrows(arrows) {
-    // Color palette for arrows/labels (high-contrast, no yellow/white/light colors)
-    const arrowPalette = [
-      '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#46f0f0', '#f032e6',
-      '#bcf60c', '#008080', '#e6beff', '#9a6324', '#800000', '#808000', '#000075', '#808080', '#000000'
-    ];
-    // Track label bounding boxes to avoid overlap
-    const labelRects = [];
-    const labelPadding = 4;
-    const labelYOffset = this.fontsize * 0.8; // How much to shift if overlap
-
-    // Helper to check if a point is inside a rectangle
-    function pointInRect(x, y, rect) {
-      return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
-    }
-
+    // Arrows and their labels cycle through the theme's palette
+    const arrowPalette = this.theme.arrows;
     arrows.forEach((arrow, idx) => {
       // If nodecolor is off, use the dropdown/default color for all arrows
       let pairColor;
@@ -194,68 +417,40 @@ export default class Tree {
       this.canvas.setLineWidth(2);
 
       // Dotted arrow support
-      if (arrow.dotted) this.canvas.context.setLineDash([4, 2]);
-      else this.canvas.context.setLineDash([]);
+      if (arrow.dotted) this.canvas.setLineDash([4, 2]);
+      else this.canvas.setLineDash([]);
 
       // Draw the curve (Bezier)
       this.canvas.curve(arrow.from_x, arrow.from_y, arrow.to_x, arrow.to_y,
-                        arrow.from_x, arrow.bottom, arrow.to_x, arrow.bottom);
+                        arrow.control_from_x, arrow.bottom, arrow.control_to_x, arrow.bottom);
 
-      if (arrow.ends_to) this.drawArrowHead(arrow.to_x, arrow.to_y);
-      if (arrow.ends_from) this.drawArrowHead(arrow.from_x, arrow.from_y);
+      if (arrow.ends_to) this.drawArrowHead(arrow.to_x, arrow.to_y, arrow.above);
+      if (arrow.ends_from) this.drawArrowHead(arrow.from_x, arrow.from_y, arrow.above);
 
-      // Draw label if present, at the true midpoint of the Bezier curve
+      // Label, placed by the router just outside the middle of the curve
       if (arrow.label) {
-        // Cubic Bezier midpoint at t=0.5
-        function bezier(t, p0, p1, p2, p3) {
-          const mt = 1 - t;
-          return mt*mt*mt*p0 + 3*mt*mt*t*p2 + 3*mt*t*t*p3 + t*t*t*p1;
-        }
-        // For y, p2 and p3 are the control points (arrow.from_x, arrow.bottom), (arrow.to_x, arrow.bottom)
-        const t = 0.5;
-        const mx = bezier(t, arrow.from_x, arrow.to_x, arrow.from_x, arrow.to_x);
-        let my = bezier(t, arrow.from_y, arrow.to_y, arrow.bottom, arrow.bottom);
         this.canvas.setFontSize(this.fontsize * 0.75); // Smaller font for arrow label
-        const labelWidth = this.canvas.textWidth(arrow.label);
-        const labelHeight = this.fontsize * 0.75;
-        // Check for overlap and adjust y position if needed
-        let tries = 0;
-        let maxTries = 15;
-        let rect = { x: mx - labelWidth / 2, y: my, width: labelWidth, height: labelHeight };
-        // Helper: check if label overlaps any previous label
-        function overlapsAnyLabel(r) {
-          return labelRects.some(lr => !(r.x + r.width + labelPadding < lr.x || r.x > lr.x + lr.width + labelPadding || r.y + r.height + labelPadding < lr.y || r.y > lr.y + lr.height + labelPadding));
-        }
-        // Helper: check if label overlaps the curve (by checking if the curve passes through the label's bounding box)
-        function overlapsCurve(r) {
-          // Sample points along the curve and see if any are inside the label rect
-          for (let tt = 0.0; tt <= 1.0; tt += 0.05) {
-            const cx = bezier(tt, arrow.from_x, arrow.to_x, arrow.from_x, arrow.to_x);
-            const cy = bezier(tt, arrow.from_y, arrow.to_y, arrow.bottom, arrow.bottom);
-            if (pointInRect(cx, cy, r)) return true;
-          }
-          return false;
-        }
-        while ((overlapsAnyLabel(rect) || overlapsCurve(rect)) && tries < maxTries) {
-          my += labelYOffset;
-          rect.y = my;
-          tries++;
-        }
-        // Use the same color for the label as the arrow
-        this.canvas.setFillStyle(pairColor);
-        this.canvas.text(arrow.label, mx, my);
-        labelRects.push({ x: mx - labelWidth / 2, y: my, width: labelWidth, height: labelHeight });
+        this.canvas.text(arrow.label, arrow.label_x, arrow.label_y);
         this.canvas.setFontSize(this.fontsize); // Restore font size
       }
 
-      this.canvas.context.setLineDash([]); // Reset line dash
+      this.canvas.setLineDash([]); // Reset line dash
     });
   }
 
-  // Draw an arrowhead at (x, y)
-  drawArrowHead(x, y) {
+  // Fill the whole canvas with the theme background
+  drawBackground(width) {
+    this.canvas.setFillStyle(this.theme.background);
+    this.canvas.setStrokeStyle(this.theme.background);
+    this.canvas.rect(0, -this.offset_y, width, this.canvas_height, true);
+    this.canvas.setStrokeStyle(this.theme.connector);
+  }
+
+  // Draw an arrowhead at (x, y), pointing up or, for arrows coming from
+  // above, down
+  drawArrowHead(x, y, down = false) {
     const cx = this.fontsize / 4;
-    const cy = this.fontsize / 2;
+    const cy = down ? -this.fontsize / 2 : this.fontsize / 2;
     this.canvas.triangle(x, y, x - cx, y + cy, x + cx, y + cy, true);
   }
 
@@ -263,6 +458,7 @@ export default class Tree {
   setCanvas(c) { this.canvas = new Canvas(c); }
   setColor(e) { this.nodecolor = e; }
   setFont(f) { this.canvas.setFont(f); }
+  setMarkup(m) { this.canvas.setMarkup(m); } // Read label markup, see markup.js
   setFontsize(s) {
     this.fontsize = parseInt(s, 10);
     this.canvas.setFontSize(this.fontsize);
@@ -271,8 +467,31 @@ export default class Tree {
   setSubscript(s) { this.subscript = s; }
   setAlignment(a) { this.alignment = a; }
   setSpacing(s) { this.vscaler = s; }
+  setLayout(l) { this.layout = l; }
   setArrowColor(color) { this.arrowColor = color; } // Set custom arrow color
+  setTheme(theme) { this.theme = theme; }            // A theme from themes.js
+  setBackground(b) { this.background = b; }
+  setEmptyStyle(s) { this.emptyStyle = s; }         // One of Traces.EmptyStyle
+  setCoindex(c) { this.coindex = c; }
+  setTraceArrows(t) { this.traceArrows = t; }
   download() { this.canvas.download('syntax_tree.png'); }
+
+  // Render the last drawn tree again, this time as SVG, and download it
+  downloadSVG() {
+    if (this.syntax_tree == null && this.sentence == null) throw 'Nothing to export yet.';
+    const canvas = this.canvas;
+    const svg = new SvgCanvas((t, font, size, style) => canvas.measureText(t, font, size, style));
+    svg.setFont(canvas.font);
+    svg.setMarkup(canvas.markup);
+    svg.setFontSize(this.fontsize);
+    this.canvas = svg;
+    try {
+      this.redraw();
+    } finally {
+      this.canvas = canvas;
+    }
+    svg.download('syntax_tree.svg');
+  }
 }
 
 // Arrow class represents a single arrow (movement, dependency, etc.)
@@ -287,29 +506,43 @@ class Arrow {
     this.ends_from = ends_from;
     this.label = label || null;
     this.dotted = dotted || false;
+    this.control_from_x = from_x;
+    this.control_to_x = to_x;
   }
 }
 
-// ArrowSet class holds all arrows for a tree and tracks the max vertical position
+// ArrowSet class holds all arrows for a tree and tracks their vertical extent
 class ArrowSet {
   constructor() {
     this.arrows = [];
     this.maxBottom = 0;
+    this.minTop = 0;
   }
 
   add(arrow) {
     this.arrows.push(arrow);
-    this.maxBottom = Math.max(this.maxBottom, arrow.bottom);
+    if (arrow.above) this.minTop = Math.min(this.minTop, arrow.outer);
+    else this.maxBottom = Math.max(this.maxBottom, arrow.outer);
   }
 
-  concatenate(arrowSet) {
-    this.arrows = this.arrows.concat(arrowSet.arrows);
-    this.maxBottom = Math.max(this.maxBottom, arrowSet.maxBottom);
+  // Move every arrow down by dy
+  shift(dy) {
+    this.arrows.forEach(arrow => {
+      arrow.from_y += dy;
+      arrow.to_y += dy;
+      arrow.bottom += dy;
+      arrow.label_y += dy;
+      arrow.outer += dy;
+    });
+    this.maxBottom += dy;
+    this.minTop += dy;
   }
 }
 
-// Recursively convert a parsed node into a drawable object for rendering
-function drawableFromNode(canvas, node, depth = -1, forceLeaf = false) {
+// Recursively convert a parsed node into a drawable object for rendering.
+// traces holds the empty style, the set of empty nodes and the co-indices
+// from traces.js.
+function drawableFromNode(canvas, node, depth = -1, forceLeaf = false, traces = null) {
   const isLeaf = forceLeaf ? (node.type !== Parser.NodeType.ROOT && node.type !== Parser.NodeType.NODE) : (node.type === Parser.NodeType.VALUE);
   let caseFeature = null;
   let drawableLabel = null;
@@ -321,6 +554,11 @@ function drawableFromNode(canvas, node, depth = -1, forceLeaf = false) {
   } else {
     drawableLabel = node.label;
   }
+  // Empty elements such as the PTB trace *T* are drawn without markup
+  if (node.empty) drawableLabel = escapeMarkup(drawableLabel);
+  if (node.empty && traces) drawableLabel = Traces.emptyLabel(drawableLabel, traces.style);
+  // A co-index is shown as the subscript, unless the node has its own
+  const subscript = node.subscript || (traces && traces.indices.get(node)) || null;
   // Support multiple arrows per node
   // If node.arrows is an array, use it directly. If node.arrow exists (legacy), wrap it in an array.
   let arrows = [];
@@ -332,36 +570,92 @@ function drawableFromNode(canvas, node, depth = -1, forceLeaf = false) {
   }
   const drawable = {
     label: drawableLabel,
-    subscript: node.subscript,
+    subscript: subscript,
     superscript: node.superscript,
-    width: getNodeWidth(canvas, { ...node, label: drawableLabel }),
+    width: getNodeWidth(canvas, { ...node, label: drawableLabel, subscript: subscript }),
+    labelWidth: getLabelBlockWidth(canvas, { ...node, label: drawableLabel, subscript: subscript }),
     depth: depth,
     is_leaf: isLeaf,
     arrows: arrows,
     features: node.features || [],
     caseFeature: caseFeature,
+    avm: node.avm || null,
+    avmSize: node.avm ? measureAvm(canvas, node.avm, canvas.fontsize * AVM_SCALE) : null,
+    glosses: isLeaf && node.glosses ? node.glosses : [],
+    translation: node.translation || null,
+    recovered: node.recovered || false,
+    style: node.style || {},
+    id: node.id || null,
+    empty: traces != null && traces.empty.has(node),
+    node: node, // The parsed node, for source ranges
     children: []
   };
 
   if (node.type !== Parser.NodeType.VALUE) {
     node.values.forEach(child => {
-      drawable.children.push(drawableFromNode(canvas, child, (depth + 1), false));
+      drawable.children.push(drawableFromNode(canvas, child, (depth + 1), false, traces));
     });
-    drawable.width = getNodeWidth(canvas, { ...node, label: drawableLabel });
+    drawable.width = Math.max(drawable.labelWidth, getDrawableChildWidth(canvas, drawable));
   }
 
   return drawable;
 }
 
+// Drawables for the words of a dependency parse, side by side on one line,
+// with the UPOS tag below each word. The token is kept as the node, so
+// clicking a word selects its line.
+function drawableFromSentence(canvas, sentence) {
+  const root = {label: '__ROOT__', depth: -1, left: 0, top: 0, width: 0, arrows: [],
+                features: [], children: []};
+  sentence.tokens.forEach(token => {
+    const tag = token.upos && token.upos !== '_' ? '{' + token.upos + '}' : null;
+    const label = {type: Parser.NodeType.VALUE, label: token.form, caseFeature: tag};
+    const width = getLabelBlockWidth(canvas, label);
+    root.children.push({
+      label: token.form,
+      subscript: null,
+      superscript: null,
+      width: width,
+      labelWidth: width,
+      depth: 0,
+      is_leaf: true,
+      arrows: [],
+      features: [],
+      caseFeature: tag,
+      recovered: false,
+      style: {},
+      id: null,
+      empty: false,
+      avm: null,
+      avmSize: null,
+      node: token,
+      children: [],
+      left: root.width,
+      top: 0
+    });
+    root.width += width;
+  });
+  return root;
+}
+
 function getNodeWidth(canvas, node) {
+  const label_width = getLabelBlockWidth(canvas, node);
+  if (node.type !== Parser.NodeType.VALUE)
+    return Math.max(label_width, getChildWidth(canvas, node));
+  else
+    return label_width;
+}
+
+// Width of a node's own label, sub/superscript, features and case feature,
+// including padding
+function getLabelBlockWidth(canvas, node) {
+  canvas.setFontStyle(getFontStyle(node.style));
   let label_width = node.type !== Parser.NodeType.ROOT
-    ? canvas.textWidth(node.label) + NODE_PADDING
+    ? measureMarkup(canvas, node.label) + NODE_PADDING
     : 0;
+  canvas.setFontStyle('');
 
-  if (node.subscript)
-    label_width += canvas.textWidth(node.subscript) * 3 / 4 * 2;
-  else if (node.superscript)
-    label_width += canvas.textWidth(node.superscript) * 3 / 4 * 2;
+  label_width += getScriptWidth(canvas, node) * 2;
 
   if (node.features && node.features.length > 0)
     label_width = Math.max(label_width, canvas.textWidth('[' + node.features.join(', ') + ']'));
@@ -369,20 +663,69 @@ function getNodeWidth(canvas, node) {
   // Add case feature width for leaf nodes
   if (node.type === Parser.NodeType.VALUE && node.caseFeature) {
     let caseText = '[' + node.caseFeature.slice(1, -1) + ']';
-    if (caseText.length > 100) {
-      caseText = caseText.slice(0, 100) + '…]';
+    if (graphemes(caseText).length > 100) {
+      caseText = truncate(caseText, 100) + ']';
     }
     const caseWidth = canvas.textWidth(caseText) * 0.7 + NODE_PADDING;
     label_width = Math.max(label_width, caseWidth);
   }
 
-  if (node.type !== Parser.NodeType.VALUE)
-    return Math.max(label_width, getChildWidth(canvas, node));
-  else
-    return label_width;
+  if (node.avm) {
+    const avm_width = measureAvm(canvas, node.avm, canvas.fontsize * AVM_SCALE).width;
+    label_width = Math.max(label_width, avm_width + NODE_PADDING);
+  }
+
+  // Glosses under a word, or the translation under a whole tree
+  const glosses = (node.glosses || [])
+    .concat(node.translation ? [getTranslationText(node.translation)] : []);
+  if (glosses.length > 0) {
+    const fontsize = canvas.fontsize;
+    canvas.setFontSize(fontsize * GLOSS_SCALE);
+    const gloss_width = Math.max(...glosses.map(gloss => measureMarkup(canvas, gloss)));
+    canvas.setFontSize(fontsize);
+    label_width = Math.max(label_width, gloss_width + NODE_PADDING);
+  }
+
+  return label_width;
 }
 
-function calculateDrawablePositions(canvas, drawable, vscaler, parent_offset = 0) {
+// Width of the label itself, including sub/superscript
+function getLabelWidth(canvas, drawable) {
+  const firstLine = String(drawable.label).split(/\\n|\n/)[0];
+  canvas.setFontStyle(getFontStyle(drawable.style));
+  const width = measureMarkup(canvas, firstLine);
+  canvas.setFontStyle('');
+  return width + getScriptWidth(canvas, drawable);
+}
+
+// Width of the sub/superscript column after a label: the wider of the two,
+// at three quarters of the label size
+function getScriptWidth(canvas, node) {
+  const widths = [node.subscript, node.superscript].filter(s => s)
+    .map(script => measureMarkup(canvas, script) * 3 / 4);
+  return widths.length > 0 ? Math.max(...widths) : 0;
+}
+
+// Rectangle around a label, used for hit-testing, selection and style boxes
+function getLabelRect(canvas, drawable, fontsize) {
+  canvas.setFontSize(fontsize);
+  const width = getLabelWidth(canvas, drawable) + NODE_PADDING / 2;
+  const lines = String(drawable.label).split(/\\n|\n/).length;
+  return {
+    x: getDrawableCenter(drawable) - width / 2,
+    y: drawable.top - 3,
+    width: width,
+    height: lines * fontsize * 1.1 + 4
+  };
+}
+
+// CSS font style for a node style: '', 'bold', 'italic' or 'italic bold'
+function getFontStyle(style) {
+  if (!style) return '';
+  return [style.italic ? 'italic' : '', style.bold ? 'bold' : ''].filter(s => s).join(' ');
+}
+
+function calculateDrawablePositions(canvas, drawable, tops, parent_offset = 0) {
   let offset = 0;
   let scale = 1;
   let hasArrow = drawable.arrows && drawable.arrows.length > 0;
@@ -395,10 +738,10 @@ function calculateDrawablePositions(canvas, drawable, vscaler, parent_offset = 0
   }
 
   drawable.children.forEach(child => {
-    child.top = child.depth * (canvas.fontsize * 3 * vscaler) + NODE_PADDING / 2;
+    child.top = tops[child.depth];
     child.left = offset + parent_offset;
     child.width *= scale;
-    const child_has_arrow = calculateDrawablePositions(canvas, child, vscaler, child.left);
+    const child_has_arrow = calculateDrawablePositions(canvas, child, tops, child.left);
     if (child_has_arrow) hasArrow = true;
     offset += child.width;
   });
@@ -406,6 +749,96 @@ function calculateDrawablePositions(canvas, drawable, vscaler, parent_offset = 0
   return hasArrow;
 }
 
+// Tidy tree layout in the style of Reingold and Tilford: each subtree is
+// pushed against its left sibling as far as the labels in every row allow,
+// and parents are centered over their first and last child.
+function calculateCompactPositions(canvas, drawables, tops) {
+  const contour = layoutCompact(drawables);
+  let min = 0;
+  let max = 0;
+  contour.forEach(([left, right]) => {
+    min = Math.min(min, left);
+    max = Math.max(max, right);
+  });
+  drawables.left = 0;
+  drawables.width = max - min;
+  return placeCompact(canvas, drawables, -min, tops);
+}
+
+// Lay out a subtree around its own center. Each child gets its center
+// offset from the parent in child.offset. Returns the contour of the
+// subtree: a map from depth to the [left, right] extent of that row.
+function layoutCompact(drawable) {
+  const contour = new Map();
+  const centers = [];
+  drawable.children.forEach(child => {
+    const child_contour = layoutCompact(child);
+    let x = 0;
+    if (centers.length > 0) {
+      // Shift right until no row overlaps, but never left of the previous sibling
+      x = centers[centers.length - 1];
+      child_contour.forEach(([left], depth) => {
+        if (contour.has(depth)) x = Math.max(x, contour.get(depth)[1] - left);
+      });
+    }
+    centers.push(x);
+    child_contour.forEach(([left, right], depth) => extendContour(contour, depth, left + x, right + x));
+  });
+
+  // Center the parent over its first and last child
+  const mid = centers.length > 0 ? (centers[0] + centers[centers.length - 1]) / 2 : 0;
+  drawable.children.forEach((child, i) => { child.offset = centers[i] - mid; });
+  const shifted = new Map();
+  contour.forEach(([left, right], depth) => shifted.set(depth, [left - mid, right - mid]));
+  if (drawable.depth >= 0)
+    extendContour(shifted, drawable.depth, -drawable.labelWidth / 2, drawable.labelWidth / 2);
+  return shifted;
+}
+
+function extendContour(contour, depth, left, right) {
+  const row = contour.get(depth);
+  if (row) contour.set(depth, [Math.min(row[0], left), Math.max(row[1], right)]);
+  else contour.set(depth, [left, right]);
+}
+
+// Turn the relative offsets from layoutCompact into absolute positions
+function placeCompact(canvas, drawable, center, tops) {
+  let hasArrow = drawable.arrows && drawable.arrows.length > 0;
+  drawable.children.forEach(child => {
+    const child_center = center + child.offset;
+    child.top = tops[child.depth];
+    child.width = child.labelWidth;
+    child.left = child_center - child.width / 2;
+    if (placeCompact(canvas, child, child_center, tops)) hasArrow = true;
+  });
+  return hasArrow;
+}
+
+// Top of each row of the tree, one per depth plus the bottom of the last
+// row. A row moves down when a feature structure in the row above would
+// reach into it.
+function getRowTops(drawables, max_depth, fontsize, row_height, gloss_height = 0) {
+  const overhang = new Array(max_depth + 1).fill(0);
+  const visit = (drawable) => {
+    if (drawable.depth >= 0 && drawable.avm) {
+      const bottom = getLabelHeight(drawable, fontsize) + drawable.avmSize.height + fontsize;
+      overhang[drawable.depth] = Math.max(overhang[drawable.depth], bottom - row_height);
+    }
+    // The gloss rows hang below the (aligned) leaves
+    if (drawable.is_leaf && gloss_height > 0) {
+      const bottom = getFullLabelHeight(drawable, fontsize) + fontsize * 0.4 + gloss_height +
+                     fontsize;
+      overhang[drawable.depth] = Math.max(overhang[drawable.depth], bottom - row_height);
+    }
+    drawable.children.forEach(visit);
+  };
+  visit(drawables);
+  const tops = [NODE_PADDING / 2];
+  for (let depth = 0; depth <= max_depth; ++depth)
+    tops.push(tops[depth] + row_height + overhang[depth]);
+  return tops;
+}
+
 function getChildWidth(canvas, node) {
   if (node.type === Parser.NodeType.VALUE) return 0;
   return node.values.reduce((sum, child) => sum + getNodeWidth(canvas, child), 0);
@@ -415,6 +848,16 @@ function getDrawableChildWidth(canvas, drawable) {
   return drawable.children.reduce((sum, child) => sum + child.width, 0);
 }
 
+// Depth-first search for the first drawable matching the predicate
+function findDrawable(drawable, predicate) {
+  for (const child of drawable.children) {
+    if (predicate(child)) return child;
+    const found = findDrawable(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
 function getMaxDepth(drawable) {
   return drawable.children.reduce((max, child) => Math.max(max, getMaxDepth(child)), drawable.depth);
 }
@@ -457,9 +900,15 @@ function countNodes(drawable) {
   return map;
 }
 
-function findTarget(drawable, arrow_idx) {
-  const [count, target] = findTargetLeaf(drawable, arrow_idx, 0);
-  return target;
+// Find an arrow target: a leaf by column number, any node by identifier, or
+// the drawable of a parsed node
+function findTarget(drawable, target) {
+  if (typeof target === 'string')
+    return findDrawable(drawable, candidate => candidate.id === target);
+  if (typeof target === 'object')
+    return findDrawable(drawable, candidate => candidate.node === target);
+  const [count, leaf] = findTargetLeaf(drawable, target, 0);
+  return leaf;
 }
 
 function findTargetLeaf(drawable, arrow_idx, count) {
@@ -473,59 +922,368 @@ function findTargetLeaf(drawable, arrow_idx, count) {
   return [count, null];
 }
 
+// Give every trace an arrow to its antecedent, on top of its own arrows
+function addTraceArrows(drawable, antecedents) {
+  const antecedent = antecedents.get(drawable.node);
+  if (antecedent) {
+    drawable.arrows = drawable.arrows.concat([
+      {ends: {to: true, from: false}, target: antecedent, label: null, dotted: false}
+    ]);
+  }
+  drawable.children.forEach(child => addTraceArrows(child, antecedents));
+}
+
 function getDrawableCenter(drawable) {
   return drawable.left + drawable.width / 2;
 }
 
-function findMaxDepthBetween(drawable, left, right, max_y = 0) {
-  drawable.children.forEach(child => {
-    max_y = Math.max(findMaxDepthBetween(child, left, right, max_y), max_y);
+// Height of a label with its case feature and features, without the
+// feature structure
+function getLabelHeight(drawable, fontsize) {
+  const labelLines = String(drawable.label).split(/\\n|\n/);
+  let height = labelLines.length * fontsize * 1.1 + 2;
+  if (drawable.caseFeature) height += fontsize * 0.7 + 2;
+  if (!drawable.is_leaf && drawable.features.length > 0) height += fontsize * 0.65 + 2;
+  return height;
+}
+
+// Height of a label with its case feature, features and feature structure
+function getFullLabelHeight(drawable, fontsize) {
+  let height = getLabelHeight(drawable, fontsize);
+  if (drawable.avm) height += drawable.avmSize.height + 2;
+  return height;
+}
+
+// Point below a label, including case feature, features and feature
+// structure, where arrows attach
+function getArrowAnchor(drawable, fontsize) {
+  return {x: getDrawableCenter(drawable), y: drawable.top + getFullLabelHeight(drawable, fontsize)};
+}
+
+// Number of gloss tiers (the most any word has) and of rows in all,
+// counting the translation row
+function getGlossRows(drawables) {
+  let tiers = 0;
+  const visit = (drawable) => {
+    if (drawable.is_leaf) tiers = Math.max(tiers, drawable.glosses.length);
+    drawable.children.forEach(visit);
+  };
+  visit(drawables);
+  const translation = drawables.children.some(tree => tree.translation);
+  return {tiers: tiers, count: tiers + (translation ? 1 : 0)};
+}
+
+function getGlossLineHeight(fontsize) {
+  return fontsize * GLOSS_SCALE * 1.25;
+}
+
+// Top of the first gloss row: a little below the lowest leaf label
+function getGlossTop(drawables, fontsize) {
+  let bottom = 0;
+  const visit = (drawable) => {
+    if (drawable.is_leaf)
+      bottom = Math.max(bottom, drawable.top + getFullLabelHeight(drawable, fontsize));
+    drawable.children.forEach(visit);
+  };
+  visit(drawables);
+  return bottom + fontsize * 0.4;
+}
+
+// A translation as it is shown, in single quotes
+function getTranslationText(translation) {
+  return '\u2018' + translation + '\u2019';
+}
+
+// Where connectors to the children start: below the feature structure if
+// there is one, otherwise right below the label
+function getConnectorTop(drawable, fontsize) {
+  if (drawable.avm) return getArrowAnchor(drawable, fontsize).y;
+  return drawable.top + fontsize + 2;
+}
+
+// Arrow routing. Each arrow is a cubic Bezier whose two control points share
+// one y (arrow.bottom). Arrows are routed narrowest first so that wider ones
+// stack outside them. For every arrow a route below and a route above the
+// labels it spans are tried; each is pushed outwards until it clears the
+// labels, connectors and arrows already placed, and the cheaper one is kept.
+const ARROW_SAMPLES = 32;
+const ARROW_MAX_STEPS = 16;
+const ARROW_MAX_STALE = 4;
+const ARROW_LEANS = [0, 0.25, 0.5];
+
+function makeArrowSet(canvas, root, fontsize, triangles, sides = [false, true]) {
+  const obstacles = {
+    boxes: collectLabelBoxes(canvas, root, fontsize, []),
+    segments: collectConnectors(canvas, root, fontsize, triangles, [])
+  };
+  obstacles.segments.forEach(segment => {
+    segment.bounds = boundingBox([segment.a, segment.b], 0);
+  });
+  const requests = collectArrowRequests(root, root, []);
+  return routeArrows(canvas, requests, obstacles, fontsize, sides);
+}
+
+// Route arrow requests around the obstacles, trying each side in sides
+// (false below, true above) and keeping the cheaper route
+function routeArrows(canvas, requests, obstacles, fontsize, sides) {
+  const arrowSet = new ArrowSet();
+  requests.forEach((request, i) => { request.index = i; });
+  requests.sort((a, b) => Math.abs(getDrawableCenter(a.from) - getDrawableCenter(a.to)) -
+                          Math.abs(getDrawableCenter(b.from) - getDrawableCenter(b.to)));
+  canvas.setFontSize(fontsize * 0.75);
+  requests.forEach(request => {
+    const label_width = request.arrow.label ? canvas.textWidth(request.arrow.label) : 0;
+    const routes = sides.map(above =>
+      routeArrow(request, above, label_width, obstacles, arrowSet.arrows, fontsize));
+    const arrow = routes.reduce((best, route) => route.cost < best.cost ? route : best);
+    arrow.index = request.index;
+    arrowSet.add(arrow);
+  });
+  canvas.setFontSize(fontsize);
+  arrowSet.arrows.sort((a, b) => a.index - b.index); // Colors follow source order
+  return arrowSet;
+}
+
+// Source, target and syntax of every arrow whose target exists
+function collectArrowRequests(root, drawable, requests) {
+  drawable.children.forEach(child => collectArrowRequests(root, child, requests));
+  (drawable.arrows || []).forEach(arrow => {
+    const target = findTarget(root, arrow.target);
+    if (target && target !== drawable)
+      requests.push({from: drawable, to: target, arrow: arrow});
+  });
+  return requests;
+}
+
+// Route one arrow on one side of the labels. The curve starts just past the
+// farthest label or arrow in its way and moves out a step at a time while it
+// still hits something.
+function routeArrow(request, above, label_width, obstacles, placed, fontsize) {
+  const dir = above ? -1 : 1;
+  const from = above ? getArrowTop(request.from) : getArrowAnchor(request.from, fontsize);
+  const to = above ? getArrowTop(request.to) : getArrowAnchor(request.to, fontsize);
+  const left = Math.min(from.x, to.x);
+  const right = Math.max(from.x, to.x);
+  const mid_x = (from.x + to.x) / 2;
+  const label_height = label_width > 0 ? fontsize * 0.75 : 0;
+  const x_min = Math.min(left, mid_x - label_width / 2);
+  const x_max = Math.max(right, mid_x + label_width / 2);
+  const margin = fontsize * 0.4;
+  const step = fontsize * 0.5;
+
+  // Outermost label between the two ends, and the outer edge of the arrows
+  // already placed on this side over the same stretch
+  const ends = [request.from, request.to];
+  const tight = dir * Math.max(dir * from.y, dir * to.y) + dir * margin;
+  let clear = tight;
+  obstacles.boxes.forEach(box => {
+    if (ends.includes(box.drawable) || box.x + box.width <= left || box.x >= right) return;
+    clear = dir * Math.max(dir * clear, dir * (above ? box.y : box.y + box.height) + margin);
+  });
+  placed.forEach(other => {
+    if (other.above !== above || other.x_max <= x_min || other.x_min >= x_max) return;
+    clear = dir * Math.max(dir * clear, dir * other.outer + margin);
   });
-  if (drawable.is_leaf && drawable.left >= left && drawable.left <= right) {
-    max_y = Math.max(drawable.top, max_y);
+
+  // Levels to try: a few between the ends and the labels in the way (a
+  // flatter curve may pass beside them), then further out step by step
+  const levels = [];
+  const between = Math.min(Math.floor(Math.abs(clear - tight) / step), ARROW_MAX_STEPS / 2);
+  for (let i = 0; i < between; ++i) levels.push(tight + (clear - tight) * i / between);
+  for (let i = 0; i < ARROW_MAX_STEPS; ++i) levels.push(clear + dir * step * i);
+
+  // Control points straight out from the ends first; leaning them towards
+  // each other lets the curve slip past labels right next to an end
+  // Crossings that stay the same further out are unavoidable, so give up
+  // after a few levels past the labels without improvement.
+  let best = null;
+  let best_hits = Infinity;
+  let stale = 0;
+  for (const [i, level] of levels.entries()) {
+    let hits = 0;
+    let level_hits = Infinity;
+    for (const lean of ARROW_LEANS) {
+      const bottom = (level - 0.125 * (from.y + to.y)) / 0.75;
+      const arrow = new Arrow(from.x, from.y, to.x, to.y, bottom,
+                              request.arrow.ends.to, request.arrow.ends.from,
+                              request.arrow.label, request.arrow.dotted);
+      arrow.control_from_x = from.x + lean * (to.x - from.x);
+      arrow.control_to_x = to.x - lean * (to.x - from.x);
+      arrow.above = above;
+      arrow.label_x = mid_x;
+      arrow.label_y = above ? level - 2 - label_height : level + 2;
+      arrow.outer = label_width > 0 ? arrow.label_y + (above ? 0 : label_height) : level;
+      arrow.x_min = x_min;
+      arrow.x_max = x_max;
+      arrow.points = sampleArrow(arrow);
+      arrow.bounds = boundingBox(arrow.points, 0);
+      const label_box = label_width > 0
+        ? {x: mid_x - label_width / 2, y: arrow.label_y, width: label_width, height: label_height}
+        : null;
+      hits = countArrowHits(arrow, label_box, ends, obstacles, placed);
+      arrow.cost = hits * fontsize * 100 + Math.abs(level - (from.y + to.y) / 2) +
+                   lean * fontsize + (above ? fontsize * 2 : 0);
+      if (best == null || arrow.cost < best.cost) best = arrow;
+      level_hits = Math.min(level_hits, hits);
+      if (hits === 0) break;
+    }
+    if (hits === 0) break;
+    stale = level_hits < best_hits || i < between ? 0 : stale + 1;
+    best_hits = Math.min(best_hits, level_hits);
+    if (stale >= ARROW_MAX_STALE) break;
   }
-  return max_y;
+  return best;
 }
 
-function makeArrowSet(root, fontsize) {
-  return makeArrowSetOn(root, root, fontsize);
+// Point above a label, where arrows routed over the tree attach
+function getArrowTop(drawable) {
+  return {x: getDrawableCenter(drawable), y: drawable.top - 4};
 }
 
-function makeArrowSetOn(root, drawable, fontsize) {
-  const arrowSet = new ArrowSet();
-  drawable.children.forEach(child => {
-    arrowSet.concatenate(makeArrowSetOn(root, child, fontsize));
+function sampleArrow(arrow) {
+  const points = [];
+  for (let i = 0; i <= ARROW_SAMPLES; ++i) {
+    const t = i / ARROW_SAMPLES;
+    points.push({
+      x: bezier(t, arrow.from_x, arrow.control_from_x, arrow.control_to_x, arrow.to_x),
+      y: bezier(t, arrow.from_y, arrow.bottom, arrow.bottom, arrow.to_y)
+    });
+  }
+  return points;
+}
+
+function bezier(t, p0, p1, p2, p3) {
+  const mt = 1 - t;
+  return mt * mt * mt * p0 + 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 + t * t * t * p3;
+}
+
+// Number of labels, connectors and placed arrows the curve (or its label)
+// runs into. The first and last stretch of the curve is left out, it starts
+// on a label and may share an end with other arrows. Connectors at the ends
+// only count when the curve runs along them.
+function countArrowHits(arrow, label_box, ends, obstacles, placed) {
+  const inner = arrow.points.slice(2, -2);
+  const away = arrow.points.slice(4, -4);
+  const bounds = boundingBox(inner, 2);
+  let hits = 0;
+  obstacles.boxes.forEach(box => {
+    if (ends.includes(box.drawable)) return;
+    if ((boxesOverlap(bounds, box) && polylineHitsBox(inner, box)) ||
+        (label_box && boxesOverlap(label_box, box))) ++hits;
+  });
+  obstacles.segments.forEach(segment => {
+    if (!boxesOverlap(bounds, segment.bounds)) return;
+    if (ends.includes(segment.parent) || ends.includes(segment.child)) {
+      if (away.some(p => distanceToSegment(p, segment) < 2)) ++hits;
+    } else if (polylineHitsSegment(inner, segment) ||
+               inner.some(p => distanceToSegment(p, segment) < 2)) {
+      ++hits;
+    }
+  });
+  placed.forEach(other => {
+    if (!boxesOverlap(bounds, other.bounds)) return;
+    const other_inner = other.points.slice(2, -2);
+    for (let i = 1; i < other_inner.length; ++i) {
+      if (polylineHitsSegment(inner, {a: other_inner[i - 1], b: other_inner[i]})) {
+        ++hits;
+        break;
+      }
+    }
   });
+  return hits;
+}
 
-  if (!drawable.is_leaf || !drawable.arrows || drawable.arrows.length === 0) return arrowSet;
+function polylineHitsBox(points, box) {
+  const corners = [
+    {x: box.x, y: box.y}, {x: box.x + box.width, y: box.y},
+    {x: box.x + box.width, y: box.y + box.height}, {x: box.x, y: box.y + box.height}
+  ];
+  return points.some(p => p.x >= box.x && p.x <= box.x + box.width &&
+                          p.y >= box.y && p.y <= box.y + box.height) ||
+         corners.some((c, i) => polylineHitsSegment(points, {a: c, b: corners[(i + 1) % 4]}));
+}
 
-  for (const arrowObj of drawable.arrows) {
-    const target = findTarget(root, arrowObj.target);
-    if (!target) continue;
-    // Calculate label height for multi-line labels
-    const labelLines = String(drawable.label).split(/\\n|\n/);
-    const labelHeight = labelLines.length * fontsize * 1.1;
-    const from = {
-      x: getDrawableCenter(drawable),
-      y: drawable.top + labelHeight + 2 + (drawable.caseFeature ? (fontsize * 0.7 + 2) : 0)
-    };
-    // Calculate label height for target as well
-    const targetLabelLines = String(target.label).split(/\\n|\n/);
-    const targetLabelHeight = targetLabelLines.length * fontsize * 1.1;
-    const to = {
-      x: getDrawableCenter(target),
-      y: target.top + targetLabelHeight + 2 + (target.caseFeature ? (fontsize * 0.7 + 2) : 0)
-    };
-    const bottom = 1.4 * findMaxDepthBetween(root,
-      Math.min(drawable.left, target.left),
-      Math.max(drawable.left, target.left));
-    const ends_to = arrowObj.ends.to;
-    const ends_from = arrowObj.ends.from;
-    const label = arrowObj.label || null;
-    const dotted = arrowObj.dotted || false;
-    arrowSet.add(new Arrow(from.x, from.y, to.x, to.y, bottom, ends_to, ends_from, label, dotted));
+function polylineHitsSegment(points, segment) {
+  for (let i = 1; i < points.length; ++i)
+    if (segmentsIntersect(points[i - 1], points[i], segment.a, segment.b)) return true;
+  return false;
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+         ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function distanceToSegment(p, segment) {
+  const dx = segment.b.x - segment.a.x;
+  const dy = segment.b.y - segment.a.y;
+  const length = dx * dx + dy * dy;
+  const t = length > 0
+    ? Math.max(0, Math.min(1, ((p.x - segment.a.x) * dx + (p.y - segment.a.y) * dy) / length))
+    : 0;
+  return Math.hypot(p.x - segment.a.x - t * dx, p.y - segment.a.y - t * dy);
+}
+
+function boundingBox(points, padding) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const x = Math.min(...xs) - padding;
+  const y = Math.min(...ys) - padding;
+  return {x: x, y: y, width: Math.max(...xs) + padding - x, height: Math.max(...ys) + padding - y};
+}
+
+function boxesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width &&
+         a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// Label bounding boxes, including case feature and features
+function collectLabelBoxes(canvas, drawable, fontsize, boxes) {
+  if (drawable.depth >= 0) {
+    canvas.setFontSize(fontsize);
+    const width = Math.max(getLabelWidth(canvas, drawable),
+                           drawable.avm ? drawable.avmSize.width : 0);
+    boxes.push({
+      drawable: drawable,
+      x: getDrawableCenter(drawable) - width / 2,
+      y: drawable.top,
+      width: width,
+      height: getArrowAnchor(drawable, fontsize).y - drawable.top
+    });
   }
-  return arrowSet;
+  drawable.children.forEach(child => collectLabelBoxes(canvas, child, fontsize, boxes));
+  return boxes;
+}
+
+// Connector lines and triangle sides, with the nodes they join
+function collectConnectors(canvas, drawable, fontsize, triangles, segments) {
+  drawable.children.forEach(child => {
+    if (drawable.depth >= 0) {
+      const a = {x: getDrawableCenter(drawable), y: getConnectorTop(drawable, fontsize)};
+      const center = getDrawableCenter(child);
+      if (triangles && child.is_leaf && child.label.includes(' ')) {
+        canvas.setFontSize(fontsize);
+        const half = measureMarkup(canvas, String(child.label).split(/\\n|\n/)[0]) / 2 - 4;
+        segments.push({parent: drawable, child: child, a: a, b: {x: center - half, y: child.top - 3}});
+        segments.push({parent: drawable, child: child, a: a, b: {x: center + half, y: child.top - 3}});
+      } else {
+        segments.push({parent: drawable, child: child, a: a, b: {x: center, y: child.top - 3}});
+      }
+    }
+    collectConnectors(canvas, child, fontsize, triangles, segments);
+  });
+  return segments;
+}
+
+// Move arrows and nodes down, to make room for arrows routed over the tree
+function shiftDown(drawable, dy) {
+  drawable.top += dy;
+  drawable.children.forEach(child => shiftDown(child, dy));
 }
 
 function mapInc(map, key) {
@@ -0,0 +1,34 @@
+// Unicode helpers for label text. Labels are measured, drawn and cut in
+// grapheme clusters (user-perceived characters), so a letter with combining
+// diacritics, an IPA symbol with tie bar or an emoji sequence is never split.
+
+'use strict';
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, {granularity: 'grapheme'})
+  : null;
+
+// Base shown under a combining mark that has no letter to sit on
+const DOTTED_CIRCLE = '◌';
+
+// Grapheme clusters of text. Without Intl.Segmenter, code points with their
+// combining marks.
+export function graphemes(text) {
+  const s = String(text);
+  if (segmenter) return Array.from(segmenter.segment(s), segment => segment.segment);
+  return s.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+}
+
+// Text cut to at most max grapheme clusters, with … if anything was cut
+export function truncate(text, max) {
+  const clusters = graphemes(text);
+  return clusters.length > max ? clusters.slice(0, max).join('') + '…' : String(text);
+}
+
+// Text as it is measured and drawn: in composed form (NFC), so fonts can use
+// precomposed glyphs, and with a dotted circle under a leading combining
+// mark, as in ◌̃ for a nasalization diacritic on its own
+export function displayText(text) {
+  const s = String(text).normalize('NFC');
+  return /^\p{M}/u.test(s) ? DOTTED_CIRCLE + s : s;
+}
@@ -0,0 +1,46 @@
+// Encodes the workspace state (phrase and render options) into shareable
+// URLs and reads it back. Old links of the form ?[phrase] keep working.
+
+'use strict';
+
+// Query parameters and how their values are stored
+const BOOLEAN_KEYS = ['nodecolor', 'autosub', 'triangles', 'background', 'coindex',
+                      'tracearrows', 'markup'];
+const STRING_KEYS = ['phrase', 'font', 'fontsize', 'align', 'layout', 'spacing', 'arrowcolor',
+                     'theme', 'empty', 'mode'];
+
+// Query string (including the leading ?) for a state
+export function encodeState(state) {
+  const params = new URLSearchParams();
+  for (const key of STRING_KEYS)
+    if (state[key] != null) params.set(key, state[key]);
+  for (const key of BOOLEAN_KEYS)
+    if (state[key] != null) params.set(key, state[key] ? '1' : '0');
+  return '?' + params.toString();
+}
+
+// State from a query string, or null if there is none. Only the entries
+// present in the URL are set.
+export function decodeState(search) {
+  const query = search.replace(/^\?/, '');
+  if (query.length === 0) return null;
+
+  // Legacy links carry just the phrase: ?[N_s%20Dogs]
+  if (!/(^|&)phrase=/.test(query)) {
+    let phrase = null;
+    try {
+      phrase = decodeURIComponent(query);
+    } catch (err) {
+      phrase = query; // Malformed % escape, use the text as it is
+    }
+    return phrase.length > 2 ? {phrase: phrase} : null;
+  }
+
+  const params = new URLSearchParams(query);
+  const state = {};
+  for (const key of STRING_KEYS)
+    if (params.has(key)) state[key] = params.get(key);
+  for (const key of BOOLEAN_KEYS)
+    if (params.has(key)) state[key] = params.get(key) === '1' || params.get(key) === 'true';
+  return state;
+}